@@ -1,11 +1,32 @@
 /* script.js - all behavior for both pages
-   We store everything in localStorage under the key 'todoApp'
+   State is kept by the storage layer below: IndexedDB when available, otherwise
+   localStorage under the key 'todoApp' (older installs are migrated from there).
    Data shape:
    {
-     title: string,
-     tasks: [{id, text, completed (bool), createdAt (YYYY-MM-DD), completedAt (YYYY-MM-DD or null)}],
-     theme: 'light' | 'dark'
+     schemaVersion: number,
+     lists: [{id, name, color}],        // named lists/projects; replaced the single `title`
+     activeListId: string | 'all',      // list shown on the home page (per browser, not merged across tabs)
+     tasks: [{id, text, listId, completed (bool), createdAt (YYYY-MM-DD), completedAt (YYYY-MM-DD or null), templateId?,
+              rolledOver? (YYYY-MM-DD[] days it slipped from), droppedAt? (YYYY-MM-DD),
+              order? (number, manual position within its day), priority? ('high'|'medium'|'low'), tags? (string[], lowercase, no '#'),
+              dueTime? (HH:MM on its day), remindBefore? (minutes before dueTime), subtasks? [{id, text, done}],
+              focusSessions? [{date (YYYY-MM-DD the session ended), minutes}], icsUid? (UID of the .ics item it was imported from)}],
+     templates: [{id, text, listId, rule: {type: 'daily'|'weekdays'|'interval'|'monthly', weekdays?, every?, day?}, startDate, paused, lastRun,
+                  tags?, priority?, dueTime?}],  // the optional fields are copied to each instance
+     quotes: [{id, text, author?, category?, favorite?}],  // the daily quote library
+     journal: [{id ('journal-' + date), date (YYYY-MM-DD), note, mood? (1-5)}],  // one entry per closed day
+     settings: { carryOver (bool), heatmapMetric: 'count' | 'ratio' | 'focus', taskSort: 'manual' | 'priority', eveningReminder: HH:MM | '',
+                 focusWork, focusBreak (minutes), quoteCategory: '' (all) | 'favorites' | category,
+                 language: '' (browser) | 'en' | 'de', weekStart: 0 (Sunday) | 1 (Monday) | 6 (Saturday),
+                 accent: '' (theme default) | '#rrggbb', heatPalette: key of HEAT_PALETTES,
+                 streak: {restDays, minType: 'count' | 'percent', minValue, freezesPerMonth} },
+     theme: 'system' | 'light' | 'dark',
+     themes: [{id, name, mode ('system'|'light'|'dark'), accent, heatPalette}],  // named themes from Settings
+     quarantine: [{task, reason, at}],  // malformed tasks set aside during validation
+     tombstones: {id: ms},              // deleted task/template ids, so other tabs don't resurrect them (kept 30 days)
+     fieldStamps: {field: ms}           // last change time of each top-level field, for merging
    }
+   Tasks, templates, lists, quotes, journal entries and themes also carry updatedAt (ms), stamped by saveState.
 */
 
 const STORAGE_KEY = 'todoApp';
@@ -26,37 +47,1962 @@ function formatLocalDate(date){
   const d = String(dt.getDate()).padStart(2, '0');
   return `${y}-${m}-${d}`;
 }
-function loadState(){
+// small utility: escape HTML to avoid injection when injecting user text into DOM (also safe inside attributes)
+function escapeHtml(s){ return (s+'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+
+// parse a local YYYY-MM-DD key back into a Date at local midnight (new Date('YYYY-MM-DD') would be UTC)
+function parseDateKey(key){
+  const [y, m, d] = String(key).split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// shift a YYYY-MM-DD key by whole days (local calendar arithmetic, DST-safe)
+function addDaysToKey(key, days){
+  const d = parseDateKey(key);
+  d.setDate(d.getDate() + days);
+  return todayKey(d);
+}
+
+// unique-enough id for tasks/templates; Date.now() alone collides when several are created in one tick
+function generateId(){
+  return Date.now().toString() + Math.random().toString(36).slice(2, 6);
+}
+
+// user preferences with defaults filled in (older saved states have no settings object)
+const DEFAULT_SETTINGS = { carryOver: true, heatmapMetric: 'count', taskSort: 'manual', eveningReminder: '', focusWork: 25, focusBreak: 5, quoteCategory: '', language: '', weekStart: 0, accent: '', heatPalette: 'green' };
+function getSettings(state){
+  const settings = Object.assign({}, DEFAULT_SETTINGS, state.settings || {});
+  if (!WEEK_STARTS.includes(settings.weekStart)) settings.weekStart = DEFAULT_SETTINGS.weekStart;
+  if (!HEX_COLOR_RE.test(settings.accent)) settings.accent = '';
+  if (!HEAT_PALETTES[settings.heatPalette]) settings.heatPalette = DEFAULT_SETTINGS.heatPalette;
+  return settings;
+}
+
+/* -------- Localization (shared) --------
+   UI text comes from STRINGS through tr(key, vars); dates, month and weekday names
+   come from Intl with the language's locale. A missing translation falls back to
+   English, then to the key itself. `{name}` in a string is replaced by vars.name, and
+   an entry with `one`/`other` forms is picked by vars.count (Intl.PluralRules).
+   Static text in the pages is tagged with data-i18n* attributes, see applyTranslations.
+   The catalog itself (STRINGS) is near the end of this file. */
+const LANGUAGES = { en: 'English', de: 'Deutsch' };
+// week start choices offered in Settings (Monday, Sunday, Saturday)
+const WEEK_STARTS = [1, 0, 6];
+let currentLanguage = 'en';
+
+// '' in settings means "follow the browser"
+function detectLanguage(setting = ''){
+  if (LANGUAGES[setting]) return setting;
+  const preferred = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+  const match = preferred.map(l => String(l || '').slice(0, 2).toLowerCase()).find(l => LANGUAGES[l]);
+  return match || 'en';
+}
+
+function setLanguage(lang){
+  currentLanguage = LANGUAGES[lang] ? lang : 'en';
+  document.documentElement.lang = currentLanguage;
+}
+
+// the browser's own locale when it is a variant of the UI language (en-GB, de-AT), so
+// dates keep the regional format; otherwise the plain language
+function appLocale(){
+  const browser = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  return browser.slice(0, 2).toLowerCase() === currentLanguage ? browser : currentLanguage;
+}
+
+function tr(key, vars = {}){
+  let text = (STRINGS[currentLanguage] || {})[key];
+  if (text === undefined) text = STRINGS.en[key];
+  if (text === undefined) return key;
+  if (typeof text === 'object') {
+    const form = new Intl.PluralRules(appLocale()).select(Number(vars.count) || 0);
+    text = text[form] !== undefined ? text[form] : text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? vars[name] : m));
+}
+
+// date key or Date -> localized text, e.g. formatDate(key, { month: 'short', day: 'numeric' })
+function formatDate(date, options){
+  const dt = date instanceof Date ? date : parseDateKey(date);
+  return dt.toLocaleDateString(appLocale(), options);
+}
+
+// 0 = Sunday, like Date#getDay; 2026-01-04 was a Sunday
+function weekdayName(day, style = 'short'){
+  return new Date(2026, 0, 4 + day).toLocaleDateString(appLocale(), { weekday: style });
+}
+
+function monthName(month, style = 'short'){
+  return new Date(2026, month, 1).toLocaleDateString(appLocale(), { month: style });
+}
+
+// weekday numbers in display order for a week starting on `weekStart`
+function weekdayOrder(weekStart = 0){
+  return Array.from({ length: 7 }, (_, i) => (weekStart + i) % 7);
+}
+
+// relabel and reorder weekday checkboxes (<label><input value="0-6"> <span>name</span></label>)
+function renderWeekdayChoices(container, weekStart = 0){
+  if (!container) return;
+  const labels = [...container.querySelectorAll('label')];
+  weekdayOrder(weekStart).forEach(day => {
+    const label = labels.find(l => l.querySelector('input')?.value === String(day));
+    if (!label) return;
+    label.querySelector('span').textContent = weekdayName(day);
+    container.appendChild(label);
+  });
+}
+
+// fill static page text: data-i18n (text), data-i18n-placeholder, -title and -label (aria-label)
+function applyTranslations(root = document){
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = tr(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = tr(el.dataset.i18nPlaceholder); });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = tr(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-label]').forEach(el => { el.setAttribute('aria-label', tr(el.dataset.i18nLabel)); });
+}
+
+// language and static text from the saved settings; runs on startup and whenever the
+// settings change (here or in another tab), before the page re-renders
+function applyLocale(state){
+  setLanguage(detectLanguage(getSettings(state).language));
+  applyTranslations();
+}
+
+/* -------- Lists (shared) -------- */
+const DEFAULT_LIST_ID = 'default';
+const ALL_LISTS = 'all';
+const LIST_COLORS = ['#00ffff', '#39ff14', '#ff00ff', '#ffb020', '#3ea6ff', '#ff3860'];
+
+function findList(state, id){
+  return (state.lists || []).find(l => l.id === id) || null;
+}
+
+// the list the home page shows: a list id, or 'all'
+function getActiveListId(state){
+  const id = state.activeListId;
+  return (id === ALL_LISTS || findList(state, id)) ? id : ((state.lists || [])[0] || {}).id || ALL_LISTS;
+}
+
+// list that new tasks/templates go into: the active one, or the first list in the 'all' view
+function targetListId(state){
+  const id = getActiveListId(state);
+  return id === ALL_LISTS ? ((state.lists || [])[0] || {}).id || DEFAULT_LIST_ID : id;
+}
+
+function inList(task, listId){
+  return listId === ALL_LISTS || task.listId === listId;
+}
+
+/* -------- Ordering and priorities (shared) -------- */
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Display order for one day's tasks. Tasks without a saved `order` keep their array
+// position (newest first), so older data looks exactly as before.
+function sortDayTasks(tasks, mode = 'manual'){
+  const rank = (t) => { const i = PRIORITIES.indexOf(t.priority); return i === -1 ? PRIORITIES.length : i; };
+  return tasks
+    .map((t, i) => ({ t, key: typeof t.order === 'number' ? t.order : i }))
+    .sort((a, b) => (mode === 'priority' ? rank(a.t) - rank(b.t) : 0) || a.key - b.key)
+    .map(x => x.t);
+}
+
+// persist the given display order as 0..n-1
+function applyOrder(tasks){
+  tasks.forEach((t, i) => { t.order = i; });
+}
+
+/* -------- Tags (shared) -------- */
+// #tags: letters, digits, '_' and '-' after a '#' that starts a word; stored lowercase without the '#'
+const TAG_RE = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// split "Read ch. 3 #study #books" into its text and tags; text made only of tags is kept as typed
+function parseTags(input){
+  const raw = String(input || '').trim();
+  const tags = [];
+  const text = raw.replace(TAG_RE, (match, lead, tag) => {
+    tag = tag.toLowerCase();
+    if (!tags.includes(tag)) tags.push(tag);
+    return lead;
+  }).replace(/\s{2,}/g, ' ').trim();
+  return { text: text || raw, tags };
+}
+
+// a task's text with its tags appended again, for editing
+function taskTextWithTags(task){
+  return [task.text, ...(task.tags || []).map(t => '#' + t)].join(' ');
+}
+
+// every tag in use, most used first
+function collectTags(tasks){
+  const counts = new Map();
+  (tasks || []).forEach(t => (t.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+function tagChips(task){
+  return (task.tags || []).map(tag => `<a class="tag" href="archive.html?tag=${encodeURIComponent(tag)}" title="${escapeHtml(tr('tags.allTagged', { tag }))}">#${escapeHtml(tag)}</a>`).join('');
+}
+
+/* -------- Quick add (shared) --------
+   The task input understands a few English phrases: dates ("tomorrow", "next mon", "in 3 days",
+   "nov 3"), times ("6pm", "at 18:30"), recurrence ("every weekday", "every 2 weeks") and
+   priority ("!high"). Each recognized phrase is cut from the text; the rest goes through
+   parseTags. Dates are local YYYY-MM-DD keys built with addDaysToKey/formatLocalDate. */
+const QUICK_WEEKDAY = 'sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:rs?|rsday)?|fri(?:day)?|sat(?:urday)?';
+const QUICK_MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const QUICK_COUNTS = { a: 1, an: 1, one: 1, two: 2, three: 3 };
+const QUICK_PRIORITIES = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
+
+function quickWeekday(word){
+  return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(word.slice(0, 3).toLowerCase());
+}
+
+// month (0-11) and day, in the given year or else the next time that date comes round
+function quickMonthDay(month, day, year, today){
+  const m = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(month.slice(0, 3).toLowerCase());
+  const y = year ? Number(year) : parseDateKey(today).getFullYear();
+  if (day < 1 || day > new Date(y, m + 1, 0).getDate()) return null;
+  const key = formatLocalDate(new Date(y, m, day));
+  return year || key >= today ? key : formatLocalDate(new Date(y + 1, m, day));
+}
+
+// Phrases by kind, tried in this order; the first match of a kind that reads as valid wins.
+// Recurrence comes before dates so "every mon" isn't read as a date. Short weekday names
+// only count after "on", "next" or "this", since "sun" or "wed" are words too.
+const QUICK_PATTERNS = [
+  ['priority', '!(high|medium|med|low|h|m|l)', m => QUICK_PRIORITIES[m[2].toLowerCase()]],
+  ['rule', 'every\\s+other\\s+day', () => ({ type: 'interval', every: 2 })],
+  ['rule', 'every\\s+other\\s+week', () => ({ type: 'interval', every: 14 })],
+  ['rule', 'every\\s+day|daily', () => ({ type: 'daily' })],
+  ['rule', 'every\\s+(\\d{1,3})\\s+days?', m => Number(m[2]) === 1 ? { type: 'daily' } : Number(m[2]) ? { type: 'interval', every: Number(m[2]) } : null],
+  ['rule', 'every\\s+(\\d{1,2})\\s+weeks?', m => Number(m[2]) ? { type: 'interval', every: Number(m[2]) * 7 } : null],
+  ['rule', 'every\\s+(weekday|weekend)s?', m => ({ type: 'weekdays', weekdays: m[2].toLowerCase() === 'weekday' ? [1, 2, 3, 4, 5] : [0, 6] })],
+  ['rule', `every\\s+((?:${QUICK_WEEKDAY})(?:\\s*(?:,|and|&)\\s*(?:${QUICK_WEEKDAY}))*)`,
+    m => ({ type: 'weekdays', weekdays: [...new Set(m[2].split(/\s*(?:,|and|&)\s*/i).map(quickWeekday))].sort() })],
+  ['rule', 'every\\s+week|weekly', () => 'weekly'],
+  ['rule', 'every\\s+(\\d{1,2})(?:st|nd|rd|th)', m => Number(m[2]) >= 1 && Number(m[2]) <= 31 ? { type: 'monthly', day: Number(m[2]) } : null],
+  ['rule', 'every\\s+month|monthly', () => 'monthly'],
+  ['date', '(?:the\\s+)?day\\s+after\\s+tomorrow', (m, o) => addDaysToKey(o.today, 2)],
+  ['date', 'today', (m, o) => o.today],
+  ['date', 'tomorrow|tmrw|tmr', (m, o) => addDaysToKey(o.today, 1)],
+  ['date', 'in\\s+(\\d{1,3}|an?|one|two|three)\\s+(days?|weeks?)',
+    (m, o) => addDaysToKey(o.today, (QUICK_COUNTS[m[2].toLowerCase()] || Number(m[2])) * (/^w/i.test(m[3]) ? 7 : 1))],
+  ['date', 'next\\s+week', (m, o) => addDaysToKey(weekStartKey(o.today, o.weekStart), 7)],
+  ['date', `(?:(on|next|this)\\s+)?(${QUICK_WEEKDAY})`, (m, o) => {
+    if (!m[2] && m[3].length < 6) return null;
+    const day = quickWeekday(m[3]);
+    // "next mon" is the Monday of next week; otherwise the coming one (today included)
+    if (m[2] && m[2].toLowerCase() === 'next') return addDaysToKey(weekStartKey(o.today, o.weekStart), 7 + (day - o.weekStart + 7) % 7);
+    return addDaysToKey(o.today, (day - parseDateKey(o.today).getDay() + 7) % 7);
+  }],
+  ['date', `(?:on\\s+)?(${QUICK_MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, (m, o) => quickMonthDay(m[2], Number(m[3]), m[4], o.today)],
+  ['date', `(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${QUICK_MONTH})\\.?(?:,?\\s+(\\d{4}))?`, (m, o) => quickMonthDay(m[3], Number(m[2]), m[4], o.today)],
+  ['date', '(?:on\\s+)?(\\d{4}-\\d{2}-\\d{2})', m => formatLocalDate(parseDateKey(m[2])) === m[2] ? m[2] : null],
+  ['time', '(?:at\\s+|@\\s*)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm)', m => {
+    const hour = Number(m[2]);
+    if (hour < 1 || hour > 12) return null;
+    const h = hour % 12 + (m[4].toLowerCase() === 'pm' ? 12 : 0);
+    return `${String(h).padStart(2, '0')}:${m[3] || '00'}`;
+  }],
+  ['time', '(?:at\\s+|@\\s*)?([01]?\\d|2[0-3]):([0-5]\\d)', m => `${m[2].padStart(2, '0')}:${m[3]}`],
+  ['time', '(?:at\\s+)?noon', () => '12:00']
+].map(([kind, source, read]) => ({ kind, re: new RegExp(`(^|\\s)(?:${source})(?=$|[\\s,.;!?])`, 'giu'), read }));
+
+// "call mom tomorrow 6pm !high #family" -> { text: 'call mom', tags: ['family'], date, time,
+// rule, priority }. Unrecognized parts stay null; text made only of phrases is kept as typed.
+function parseQuickAdd(input, { today = todayKey(), weekStart = 0 } = {}){
+  const raw = String(input || '').trim();
+  const found = { date: null, time: null, rule: null, priority: null };
+  let rest = raw;
+  QUICK_PATTERNS.forEach(({ kind, re, read }) => {
+    if (found[kind]) return;
+    for (const m of rest.matchAll(re)) {
+      const value = read(m, { today, weekStart });
+      if (!value) continue;
+      found[kind] = value;
+      rest = rest.slice(0, m.index) + m[1] + rest.slice(m.index + m[0].length);
+      return;
+    }
+  });
+  rest = rest.replace(/\s{2,}/g, ' ').replace(/^[\s,;]+|[\s,;]+$/g, '');
+  if (!rest) return Object.assign(parseTags(raw), { date: null, time: null, rule: null, priority: null });
+  // "weekly" and "monthly" repeat on the start day
+  const start = found.date || today;
+  if (found.rule === 'weekly') found.rule = { type: 'weekdays', weekdays: [parseDateKey(start).getDay()] };
+  if (found.rule === 'monthly') found.rule = { type: 'monthly', day: parseDateKey(start).getDate() };
+  return Object.assign(parseTags(rest), found);
+}
+
+/* -------- Subtasks (shared) -------- */
+// How far along a task is, 0..1: done tasks count fully, others by their checked subtasks.
+// The progress bar and counter add these up instead of counting checkboxes.
+function taskProgress(task){
+  if (task.completed) return 1;
+  const subs = task.subtasks || [];
+  return subs.length ? subs.filter(s => s.done).length / subs.length : 0;
+}
+
+// Complete or reopen a task. The completion is recorded on `dateKey` right away (today, or
+// the day being viewed on the calendar); reopening clears it.
+function setCompleted(task, done, dateKey = todayKey()){
+  task.completed = done;
+  task.completedAt = done ? dateKey : null;
+}
+
+// The task's own checkbox: completing or reopening it checks or unchecks every subtask too,
+// so the progress shown never contradicts the checkbox.
+function setTaskChecked(task, done, dateKey = todayKey()){
+  setCompleted(task, done, dateKey);
+  (task.subtasks || []).forEach(s => { s.done = done; });
+}
+
+// Check or uncheck one subtask. Checking the last one completes the parent on `dateKey` and
+// unchecking any reopens it. Returns true when the parent's completion changed.
+function setSubtaskDone(task, subId, done, dateKey = todayKey()){
+  const sub = (task.subtasks || []).find(s => s.id === subId);
+  if (!sub) return false;
+  const before = task.completed;
+  sub.done = done;
+  if (done && task.subtasks.every(s => s.done)) setCompleted(task, true, dateKey);
+  if (!done && before) setCompleted(task, false);
+  return task.completed !== before;
+}
+
+/* -------- Daily journal (shared) --------
+   Closing a day on the home page stores a short reflection and a mood (1-5) in
+   state.journal. Each day has one entry whose id comes from its date, so two devices
+   closing the same day edit the same entry instead of adding two. */
+const JOURNAL_MOODS = ['😞', '🙁', '😐', '🙂', '😄'];
+
+function journalId(dateKey){ return `journal-${dateKey}`; }
+
+function journalEntry(state, dateKey){
+  return (state.journal || []).find(j => j.date === dateKey) || null;
+}
+
+// Create or update a day's entry. Existing entries are edited in place so saveState
+// stamps them as changed; an entry with an empty note still marks the day as closed.
+function setJournalEntry(state, dateKey, note, mood){
+  if (!Array.isArray(state.journal)) state.journal = [];
+  let entry = journalEntry(state, dateKey);
+  if (!entry) {
+    entry = { id: journalId(dateKey), date: dateKey, note: '' };
+    state.journal.push(entry);
+  }
+  entry.note = String(note || '').trim();
+  if (mood) entry.mood = mood; else delete entry.mood;
+  return entry;
+}
+
+// a day's reflection as shown in the calendar overlay and the archive ('' when empty)
+function journalHtml(entry){
+  if (!entry || !(entry.note || entry.mood)) return '';
+  const mood = entry.mood ? `<span class="mood" role="img" aria-label="${tr(`journal.mood${entry.mood}`)}" title="${tr(`journal.mood${entry.mood}`)}">${JOURNAL_MOODS[entry.mood - 1]}</span> ` : '';
+  return `<blockquote class="day-reflection">${mood}${escapeHtml(entry.note)}</blockquote>`;
+}
+
+/* -------- Quotes (shared) --------
+   The daily quote comes from the library in state.quotes. Each day maps to a position in
+   a shuffled order of the pool; the order is seeded by the cycle number, so every device
+   shows the same quote on the same day and no quote repeats until all have been shown. */
+const QUOTE_FAVORITES = 'favorites';
+// the original five; their fixed ids let tabs that migrate separately merge cleanly
+const DEFAULT_QUOTES = [
+  { id: 'quote-1', text: 'Small steps every day add up to big wins.', category: 'motivation' },
+  { id: 'quote-2', text: 'Progress, not perfection.', category: 'motivation' },
+  { id: 'quote-3', text: 'Consistency is the key to success.', category: 'motivation' },
+  { id: 'quote-4', text: 'Do something today that your future self will thank you for.', category: 'motivation' },
+  { id: 'quote-5', text: 'Start where you are. Use what you have. Do what you can.', author: 'Arthur Ashe', category: 'motivation' }
+];
+
+function collectQuoteCategories(quotes){
+  return [...new Set((quotes || []).map(q => q.category).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+// quotes picked by the category setting; an empty selection falls back to the whole library
+function quotePool(state){
+  const quotes = state.quotes || [];
+  const category = getSettings(state).quoteCategory;
+  const pool = !category ? quotes : quotes.filter(q => category === QUOTE_FAVORITES ? q.favorite : q.category === category);
+  return pool.length ? pool : quotes;
+}
+
+// small seeded PRNG (mulberry32); the same seed gives the same sequence everywhere
+function seededRandom(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function seededShuffle(items, seed){
+  const random = seededRandom(seed);
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Quote for a day: days are numbered from the epoch and grouped into cycles of pool size.
+// Adding or removing quotes starts a different cycle layout, which is fine for a daily quote.
+function dailyQuote(state, dateKey = todayKey()){
+  const pool = quotePool(state).slice().sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  if (!pool.length) return null;
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const day = Math.floor(Date.UTC(y, m - 1, d) / 86400000);
+  const cycle = Math.floor(day / pool.length);
+  const order = seededShuffle(pool, cycle);
+  // don't let a new cycle open with the quote that closed the previous one
+  if (pool.length > 2 && order[0] === seededShuffle(pool, cycle - 1)[pool.length - 1]) [order[0], order[1]] = [order[1], order[0]];
+  return order[day % pool.length];
+}
+
+// Read quotes from an imported file: JSON (an array of strings or {text, author, category},
+// or {quotes: [...]}) or plain text with one quote per line, optionally ending in "— Author".
+// Throws when nothing usable is found.
+function parseQuotes(content){
+  const clean = (text) => String(text || '').trim().replace(/^["“”]+|["“”]+$/g, '').trim();
+  let items;
+  const trimmed = content.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.quotes) ? data.quotes : []);
+    items = list.map(q => (typeof q === 'string' ? { text: q } : q && typeof q === 'object' ? { text: q.text || q.quote, author: q.author, category: q.category } : null));
+  } else {
+    items = trimmed.split(/\r?\n/).map(line => {
+      const match = line.match(/^(.*\S)\s+(?:—|–|-{1,2}|~)\s*([^—–~-][^—–~]*)$/);
+      return match ? { text: match[1], author: match[2] } : { text: line };
+    });
+  }
+  const quotes = items.filter(Boolean).map(q => ({
+    text: clean(q.text),
+    author: typeof q.author === 'string' ? q.author.trim() : '',
+    category: typeof q.category === 'string' ? q.category.trim().toLowerCase() : ''
+  })).filter(q => q.text);
+  if (!quotes.length) throw new Error(tr('quotes.noneFound'));
+  return quotes;
+}
+
+// add quotes to the library, skipping ones it already has (same text, ignoring case);
+// returns how many were added
+function addQuotes(state, quotes){
+  const known = new Set((state.quotes || []).map(q => q.text.toLowerCase()));
+  let added = 0;
+  quotes.forEach(q => {
+    if (known.has(q.text.toLowerCase())) return;
+    known.add(q.text.toLowerCase());
+    const quote = { id: generateId(), text: q.text };
+    if (q.author) quote.author = q.author;
+    if (q.category) quote.category = q.category;
+    state.quotes = (state.quotes || []).concat(quote);
+    added++;
+  });
+  return added;
+}
+
+/* -------- Carry-over of unfinished tasks (shared) -------- */
+// incomplete tasks from earlier days that were neither done, dropped nor moved (moving one
+// changes its createdAt); a recurring task's old instance is left out once its template
+// has added today's
+function getLeftovers(state, dateKey = todayKey()){
+  const tasks = state.tasks || [];
+  const renewed = new Set(tasks.filter(t => t.templateId && t.createdAt === dateKey).map(t => t.templateId));
+  return tasks.filter(t => !t.completed && !t.droppedAt && t.createdAt && t.createdAt < dateKey
+    && !(t.templateId && renewed.has(t.templateId)));
+}
+
+// move a task to another day, remembering the day it slipped from
+function rescheduleTask(task, dateKey){
+  if (!task.rolledOver) task.rolledOver = [];
+  if (task.createdAt && !task.rolledOver.includes(task.createdAt)) task.rolledOver.push(task.createdAt);
+  task.createdAt = dateKey;
+}
+
+/* -------- Storage layer (shared) --------
+   loadState()/saveState() stay synchronous for the page code: they read and write an
+   in-memory copy that initStorage() fills once at startup, and writes are persisted to
+   the active backend in the background. */
+const DB_NAME = 'legacy-arc';
+const DB_STORE = 'kv';
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Ordered migrations: MIGRATIONS[n] upgrades a state from schemaVersion n to n + 1.
+// Never edit a shipped migration; append a new one instead.
+const MIGRATIONS = [
+  // 0 -> 1: older builds stored ISO timestamps; convert them to local YYYY-MM-DD keys
+  (state) => {
+    (state.tasks || []).forEach(t => {
+      if (typeof t.createdAt === 'string' && t.createdAt.includes('T')) t.createdAt = formatLocalDate(t.createdAt);
+      if (typeof t.completedAt === 'string' && t.completedAt.includes('T')) t.completedAt = formatLocalDate(t.completedAt);
+    });
+  },
+  // 1 -> 2: collections added by recurring templates and carry-over settings
+  (state) => {
+    if (!Array.isArray(state.templates)) state.templates = [];
+    if (!state.settings || typeof state.settings !== 'object') state.settings = {};
+  },
+  // 2 -> 3: bookkeeping for merging states written by other tabs
+  (state) => {
+    if (!state.tombstones || typeof state.tombstones !== 'object') state.tombstones = {};
+    if (!state.fieldStamps || typeof state.fieldStamps !== 'object') state.fieldStamps = {};
+  },
+  // 3 -> 4: the single list title becomes the first named list; every task joins it
+  (state) => {
+    if (!Array.isArray(state.lists) || !state.lists.length) {
+      state.lists = [{ id: DEFAULT_LIST_ID, name: (typeof state.title === 'string' && state.title.trim()) || 'My tasks', color: LIST_COLORS[0] }];
+    }
+    const first = state.lists[0].id;
+    (state.tasks || []).forEach(t => { if (t && !t.listId) t.listId = first; });
+    (state.templates || []).forEach(t => { if (t && !t.listId) t.listId = first; });
+    if (!state.activeListId) state.activeListId = first;
+    delete state.title;
+  },
+  // 4 -> 5: the hardcoded daily quotes become an editable library
+  (state) => {
+    if (!Array.isArray(state.quotes)) state.quotes = DEFAULT_QUOTES.map(q => Object.assign({}, q));
+  },
+  // 5 -> 6: checking a task records its completion (Save Day used to); completions that were
+  // never saved count on the task's own day. Closed days keep a journal entry.
+  (state) => {
+    (state.tasks || []).forEach(t => { if (t && t.completed && !t.completedAt) t.completedAt = t.createdAt; });
+    if (!Array.isArray(state.journal)) state.journal = [];
+  },
+  // 6 -> 7: named themes; the mode can also follow the system (existing choices are kept)
+  (state) => {
+    if (!Array.isArray(state.themes)) state.themes = [];
+  }
+];
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+let stateCache = null;
+let storageBackend = 'localStorage';
+let dbPromise = null;
+
+function defaultState(){
+  return {
+    schemaVersion: SCHEMA_VERSION, appTitle: 'Legacy Arc',
+    lists: [{ id: DEFAULT_LIST_ID, name: 'My tasks', color: LIST_COLORS[0] }], activeListId: DEFAULT_LIST_ID,
+    tasks: [], templates: [], quotes: DEFAULT_QUOTES.map(q => Object.assign({}, q)), journal: [], themes: [], settings: {}, theme: 'system',
+    quarantine: [], tombstones: {}, fieldStamps: {}
+  };
+}
+
+function cloneState(state){ return JSON.parse(JSON.stringify(state)); }
+
+// run every migration newer than the state's schemaVersion, in order
+function migrateState(raw){
+  const state = (raw && typeof raw === 'object' && !Array.isArray(raw)) ? raw : defaultState();
+  const from = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+  for (let v = from; v < MIGRATIONS.length; v++) MIGRATIONS[v](state);
+  state.schemaVersion = Math.max(from, SCHEMA_VERSION);
+  return state;
+}
+
+// Repair what can be repaired (types, ISO dates, missing ids) and move tasks that can't
+// be trusted into state.quarantine so they never break rendering. Returns the number of
+// tasks touched so callers know whether to persist.
+function validateState(state){
+  const defaults = defaultState();
+  if (typeof state.appTitle !== 'string') state.appTitle = defaults.appTitle;
+  if (!Array.isArray(state.lists)) state.lists = [];
+  state.lists = state.lists.filter(l => l && l.id && typeof l.name === 'string');
+  if (!state.lists.length) state.lists = defaults.lists;
+  const listIds = new Set(state.lists.map(l => l.id));
+  if (state.activeListId !== ALL_LISTS && !listIds.has(state.activeListId)) state.activeListId = state.lists[0].id;
+  if (!THEME_MODES.includes(state.theme)) state.theme = defaults.theme;
+  if (!Array.isArray(state.templates)) state.templates = [];
+  if (!Array.isArray(state.quotes)) state.quotes = [];
+  state.quotes = state.quotes.filter(q => q && q.id && typeof q.text === 'string' && q.text.trim());
+  if (!Array.isArray(state.journal)) state.journal = [];
+  state.journal = state.journal.filter(j => j && DATE_KEY_RE.test(j.date) && typeof j.note === 'string');
+  if (!Array.isArray(state.themes)) state.themes = [];
+  state.themes = state.themes.filter(t => t && t.id && typeof t.name === 'string' && t.name.trim())
+    .map(t => Object.assign({ id: t.id }, normalizeTheme(t), t.updatedAt ? { updatedAt: t.updatedAt } : {}));
+  state.journal.forEach(j => {
+    j.id = journalId(j.date);
+    if (j.mood !== undefined && !(Number.isInteger(j.mood) && j.mood >= 1 && j.mood <= JOURNAL_MOODS.length)) delete j.mood;
+  });
+  if (!state.settings || typeof state.settings !== 'object') state.settings = {};
+  if (!Array.isArray(state.quarantine)) state.quarantine = [];
+  if (!state.tombstones || typeof state.tombstones !== 'object') state.tombstones = {};
+  if (!state.fieldStamps || typeof state.fieldStamps !== 'object') state.fieldStamps = {};
+  if (!Array.isArray(state.tasks)) state.tasks = [];
+
+  const toDateKey = (v) => {
+    if (typeof v !== 'string' && typeof v !== 'number') return null;
+    if (DATE_KEY_RE.test(v)) return v;
+    return formatLocalDate(v);
+  };
+  let touched = 0;
+  const seen = new Set();
+  state.tasks = state.tasks.filter(t => {
+    const quarantine = (reason) => { state.quarantine.push({ task: t, reason, at: new Date().toISOString() }); touched++; return false; };
+    if (!t || typeof t !== 'object') return quarantine('not an object');
+    if (typeof t.text !== 'string' || !t.text.trim()) return quarantine('missing text');
+    const createdAt = toDateKey(t.createdAt);
+    if (!createdAt) return quarantine('invalid createdAt');
+    const before = JSON.stringify(t);
+    t.createdAt = createdAt;
+    t.id = (t.id === undefined || t.id === null || seen.has(String(t.id))) ? generateId() : String(t.id);
+    t.completed = !!t.completed;
+    t.completedAt = t.completedAt ? toDateKey(t.completedAt) : null;
+    // tasks pointing at a list that no longer exists join the first list
+    if (!listIds.has(t.listId)) t.listId = state.lists[0].id;
+    if (t.subtasks !== undefined) {
+      const subs = Array.isArray(t.subtasks) ? t.subtasks.filter(x => x && typeof x.text === 'string' && x.text.trim()) : [];
+      subs.forEach(x => { x.id = x.id ? String(x.id) : generateId(); x.done = !!x.done; });
+      if (subs.length) t.subtasks = subs; else delete t.subtasks;
+    }
+    if (t.focusSessions !== undefined) {
+      const sessions = Array.isArray(t.focusSessions) ? t.focusSessions.filter(x => x && DATE_KEY_RE.test(x.date) && Number.isFinite(x.minutes) && x.minutes > 0) : [];
+      if (sessions.length) t.focusSessions = sessions; else delete t.focusSessions;
+    }
+    if (t.dueTime !== undefined && !TIME_RE.test(t.dueTime)) delete t.dueTime;
+    if (t.remindBefore !== undefined && (!t.dueTime || !(Number.isInteger(t.remindBefore) && t.remindBefore >= 0))) delete t.remindBefore;
+    if (t.tags !== undefined) {
+      const tags = Array.isArray(t.tags) ? t.tags.filter(x => typeof x === 'string' && x).map(x => x.toLowerCase()) : [];
+      if (tags.length) t.tags = [...new Set(tags)]; else delete t.tags;
+    }
+    seen.add(t.id);
+    if (JSON.stringify(t) !== before) touched++;
+    return true;
+  });
+  return touched;
+}
+
+function openDb(){
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB unavailable')); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB blocked'));
+  });
+  return dbPromise;
+}
+
+function idbGet(key){
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const req = db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE).get(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+function idbPut(key, value){
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, 'readwrite');
+    tx.objectStore(DB_STORE).put(value, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  }));
+}
+
+function readLocalStorageState(){
   const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) return { appTitle: 'Legacy Arc', title: '', tasks: [], theme: 'light' };
-  try { return JSON.parse(raw); } catch { return { appTitle: 'Legacy Arc', title:'', tasks:[], theme:'light'}; }
+  if (!raw) return null;
+  try { return JSON.parse(raw); } catch { return null; }
+}
+
+// write a state to whichever backend is active; rejects when the write fails
+function writeState(state){
+  if (storageBackend === 'indexedDB') return idbPut(STORAGE_KEY, state);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return Promise.resolve();
+}
+
+// background saves: a failed write (e.g. storage full) is reported, the page keeps working
+function persistState(state){
+  return writeState(state).catch(() => showToast(tr('storage.saveFailed'), 4000));
+}
+
+// Pick a backend, migrate the localStorage key into IndexedDB on first run, then
+// upgrade + validate the stored state. Falls back to localStorage, including when the
+// first IndexedDB write fails. Resolves with the number of tasks repaired or quarantined.
+function initStorage(){
+  return openDb()
+    .then(() => idbGet(STORAGE_KEY))
+    .then(stored => {
+      storageBackend = 'indexedDB';
+      if (stored) return { raw: stored, fromLegacy: false };
+      return { raw: readLocalStorageState(), fromLegacy: true };
+    })
+    .catch(() => {
+      storageBackend = 'localStorage';
+      return { raw: readLocalStorageState(), fromLegacy: false };
+    })
+    .then(({ raw, fromLegacy }) => {
+      const fromVersion = raw && raw.schemaVersion;
+      const state = migrateState(raw || defaultState());
+      const repaired = validateState(state);
+      stateCache = state;
+      if (!(fromLegacy || repaired || fromVersion !== state.schemaVersion)) return repaired;
+      if (!(fromLegacy && storageBackend === 'indexedDB')) return persistState(cloneState(state)).then(() => repaired);
+      // the old key is only dropped once the IndexedDB copy is safely written; if that
+      // write fails, localStorage stays the backend and keeps the (upgraded) data
+      return idbPut(STORAGE_KEY, cloneState(state))
+        .then(() => localStorage.removeItem(STORAGE_KEY))
+        .catch(() => {
+          storageBackend = 'localStorage';
+          return persistState(cloneState(state));
+        })
+        .then(() => repaired);
+    });
+}
+
+// Same interface as before the storage layer: callers get their own copy to mutate.
+function loadState(){
+  if (!stateCache) {
+    const state = migrateState(readLocalStorageState() || defaultState());
+    validateState(state);
+    stateCache = state;
+  }
+  return cloneState(stateCache);
 }
 function saveState(state){
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  stampChanges(stateCache, state);
+  if (stateCache && JSON.stringify(stateCache) === JSON.stringify(state)) return;
+  queueSyncChanges(stateCache, state);
+  stateCache = cloneState(state);
+  const snapshot = cloneState(stateCache);
+  persistState(snapshot).then(() => announceState(snapshot));
+}
+
+/* -------- Cross-tab synchronization (shared) --------
+   Every save is announced to other open tabs (BroadcastChannel, or the localStorage
+   'storage' event where that isn't available). The receiving tab merges at the
+   task level, so two tabs saving at once never drop each other's tasks. */
+const SYNCED_COLLECTIONS = ['tasks', 'templates', 'lists', 'quotes', 'journal', 'themes'];
+// activeListId is a view choice: each tab keeps its own
+const UNSYNCED_FIELDS = ['schemaVersion', 'quarantine', 'tombstones', 'fieldStamps', 'activeListId', ...SYNCED_COLLECTIONS];
+const SYNC_PING_KEY = STORAGE_KEY + ':sync';
+// a deletion only has to outlive the copies other tabs and devices still hold
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const stateListeners = [];
+let syncChannel = null;
+
+function tombstoneExpired(at, now = Date.now()){
+  return at < now - TOMBSTONE_TTL_MS;
+}
+
+// drop tombstones older than TOMBSTONE_TTL_MS so the map doesn't grow with every delete
+function pruneTombstones(tombstones, now = Date.now()){
+  Object.keys(tombstones).forEach(id => { if (tombstoneExpired(tombstones[id], now)) delete tombstones[id]; });
+}
+
+// Compare a state about to be saved with the previous copy: stamp updatedAt on changed
+// tasks/templates, record tombstones for removed ones and stamp changed top-level fields.
+// Mutates `next` so long-lived callers keep the stamps for their following saves.
+function stampChanges(prev, next){
+  const now = Date.now();
+  if (!next.tombstones) next.tombstones = {};
+  if (!next.fieldStamps) next.fieldStamps = {};
+  SYNCED_COLLECTIONS.forEach(kind => {
+    const before = new Map(((prev && prev[kind]) || []).map(x => [x.id, x]));
+    const present = new Set();
+    (next[kind] || []).forEach(item => {
+      present.add(item.id);
+      const old = before.get(item.id);
+      if (!old) {
+        // new, or re-added after a delete: it must outrank the tombstone
+        if (!item.updatedAt || next.tombstones[item.id]) item.updatedAt = now;
+        delete next.tombstones[item.id];
+      } else if (item.updatedAt === old.updatedAt && JSON.stringify(item) !== JSON.stringify(old)) {
+        item.updatedAt = now;
+      }
+    });
+    if (prev) before.forEach((_, id) => { if (!present.has(id)) next.tombstones[id] = now; });
+  });
+  pruneTombstones(next.tombstones, now);
+  if (!prev) return;
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  keys.forEach(k => {
+    if (UNSYNCED_FIELDS.includes(k)) return;
+    if (JSON.stringify(prev[k]) !== JSON.stringify(next[k])) next.fieldStamps[k] = now;
+  });
+}
+
+// Merge a state written by another tab into ours. Newer updatedAt wins per task/template,
+// tombstones win over older edits, and top-level fields use their fieldStamps.
+// `localChanged`: the merge brought in something new; `remoteBehind`: the other side
+// is missing something we have, so the merged state must be written back.
+function mergeStates(local, remote){
+  const merged = cloneState(local);
+  let localChanged = false;
+  let remoteBehind = false;
+
+  const tombstones = Object.assign({}, local.tombstones);
+  pruneTombstones(tombstones);
+  const remoteTombs = remote.tombstones || {};
+  new Set([...Object.keys(tombstones), ...Object.keys(remoteTombs)]).forEach(id => {
+    const l = tombstones[id] || 0;
+    // an expired remote tombstone counts as absent; the other tab prunes it on its next save
+    const r = tombstoneExpired(remoteTombs[id] || 0) ? 0 : remoteTombs[id];
+    if (l > r) remoteBehind = true;
+    if (r > l) { localChanged = true; tombstones[id] = r; }
+  });
+  merged.tombstones = tombstones;
+
+  SYNCED_COLLECTIONS.forEach(kind => {
+    const localItems = local[kind] || [];
+    const remoteItems = remote[kind] || [];
+    const localById = new Map(localItems.map(x => [x.id, x]));
+    const remoteById = new Map(remoteItems.map(x => [x.id, x]));
+    const pick = (id) => {
+      const l = localById.get(id);
+      const r = remoteById.get(id);
+      const lt = l ? (l.updatedAt || 0) : -1;
+      const rt = r ? (r.updatedAt || 0) : -1;
+      const winner = rt > lt ? r : l;
+      if (tombstones[id] !== undefined && tombstones[id] >= (winner.updatedAt || 0)) {
+        if (l) localChanged = true;
+        if (r) remoteBehind = true;
+        return null;
+      }
+      if (winner === r && rt > lt) localChanged = true;
+      if (winner === l && lt > rt) remoteBehind = true;
+      return cloneState(winner);
+    };
+    // items only the other tab has are newest, so they go first (home lists newest first)
+    const remoteOnly = remoteItems.filter(x => !localById.has(x.id)).map(x => pick(x.id));
+    const rest = localItems.map(x => pick(x.id));
+    merged[kind] = [...remoteOnly, ...rest].filter(Boolean);
+  });
+
+  const localStamps = local.fieldStamps || {};
+  const remoteStamps = remote.fieldStamps || {};
+  merged.fieldStamps = Object.assign({}, localStamps);
+  new Set([...Object.keys(localStamps), ...Object.keys(remoteStamps)]).forEach(k => {
+    const l = localStamps[k] || 0;
+    const r = remoteStamps[k] || 0;
+    if (r > l) { merged[k] = cloneState({ v: remote[k] }).v; merged.fieldStamps[k] = r; localChanged = true; }
+    if (l > r) remoteBehind = true;
+  });
+  return { state: merged, localChanged, remoteBehind };
+}
+
+// Long-lived page code registers here to refresh when another tab changes the state
+function onExternalStateChange(fn){ stateListeners.push(fn); }
+
+function announceState(snapshot){
+  if (syncChannel) {
+    syncChannel.postMessage({ type: 'state', state: snapshot });
+  } else if (storageBackend === 'indexedDB') {
+    // no BroadcastChannel: poke other tabs through a tiny localStorage key; they re-read IndexedDB
+    try { localStorage.setItem(SYNC_PING_KEY, String(Date.now())); } catch (e) {}
+  }
+  // the localStorage backend needs nothing extra: other tabs get a 'storage' event for the key itself
+}
+
+function receiveRemoteState(remote){
+  if (!stateCache || !remote || typeof remote !== 'object') return;
+  const incoming = migrateState(cloneState(remote));
+  const { state, localChanged, remoteBehind } = mergeStates(stateCache, incoming);
+  stateCache = state;
+  if (remoteBehind) {
+    const snapshot = cloneState(state);
+    persistState(snapshot).then(() => announceState(snapshot));
+  }
+  if (localChanged) stateListeners.forEach(fn => fn(cloneState(stateCache)));
+}
+
+function startCrossTabSync(){
+  if (typeof BroadcastChannel !== 'undefined') {
+    syncChannel = new BroadcastChannel(DB_NAME);
+    syncChannel.addEventListener('message', e => {
+      if (e.data && e.data.type === 'state') receiveRemoteState(e.data.state);
+    });
+    return;
+  }
+  window.addEventListener('storage', e => {
+    if (e.key === STORAGE_KEY && e.newValue && storageBackend === 'localStorage') {
+      try { receiveRemoteState(JSON.parse(e.newValue)); } catch (err) {}
+    } else if (e.key === SYNC_PING_KEY && storageBackend === 'indexedDB') {
+      idbGet(STORAGE_KEY).then(receiveRemoteState).catch(() => {});
+    }
+  });
+}
+
+/* -------- Server sync (shared, opt-in) --------
+   Pushes local changes to a self-hosted REST endpoint and pulls other devices' changes
+   (protocol and reference server: server/sync-server.js). Every saved change is queued
+   per browser in localStorage, one entry per item or field with the newest winning, so
+   edits made offline go out once the server is reachable. Conflicts are settled by the
+   same stamps as between tabs: the newer updatedAt / field stamp wins and deletions
+   leave tombstones. The endpoint and token are per browser and never part of the state. */
+const SYNC_CONFIG_KEY = STORAGE_KEY + ':syncConfig';
+const SYNC_META_KEY = STORAGE_KEY + ':syncMeta';
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_POLL_MS = 60 * 1000;
+const syncStatusListeners = [];
+let syncTimer = null;
+let syncInFlight = null;
+
+function readSyncConfig(){
+  try { return Object.assign({ enabled: false, endpoint: '', token: '' }, JSON.parse(localStorage.getItem(SYNC_CONFIG_KEY))); }
+  catch (e) { return { enabled: false, endpoint: '', token: '' }; }
+}
+function writeSyncConfig(config){
+  try { localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(config)); } catch (e) {}
+}
+
+// {revision (last server revision seen), queue: {key: change}, lastSync (ms), error}
+function readSyncMeta(){
+  try { return Object.assign({ revision: 0, queue: {}, lastSync: null, error: null }, JSON.parse(localStorage.getItem(SYNC_META_KEY))); }
+  catch (e) { return { revision: 0, queue: {}, lastSync: null, error: null }; }
+}
+function writeSyncMeta(meta){
+  try { localStorage.setItem(SYNC_META_KEY, JSON.stringify(meta)); } catch (e) { /* full storage: changes go out with the next full push */ }
+}
+
+function syncEnabled(){
+  const config = readSyncConfig();
+  return config.enabled && !!config.endpoint;
+}
+
+function syncChangeKey(change){
+  return change.field !== undefined ? `field:${change.field}` : `id:${change.id}`;
+}
+
+// What changed between two saved states, as sync changes. With no `prev` this is
+// everything, used for the first push after sync is turned on.
+function collectSyncChanges(prev, next){
+  const changes = [];
+  SYNCED_COLLECTIONS.forEach(kind => {
+    const before = new Map(((prev && prev[kind]) || []).map(x => [x.id, x]));
+    (next[kind] || []).forEach(item => {
+      const old = before.get(item.id);
+      if (!old || old.updatedAt !== item.updatedAt) changes.push({ id: item.id, kind, item: cloneState(item) });
+    });
+  });
+  const oldTombs = (prev && prev.tombstones) || {};
+  Object.entries(next.tombstones || {}).forEach(([id, at]) => {
+    if (oldTombs[id] !== at) changes.push({ id, deletedAt: at });
+  });
+  const oldStamps = (prev && prev.fieldStamps) || {};
+  const stamps = next.fieldStamps || {};
+  Object.keys(next).forEach(field => {
+    if (UNSYNCED_FIELDS.includes(field)) return;
+    if (prev && oldStamps[field] === stamps[field]) return;
+    changes.push({ field, value: next[field] === undefined ? null : cloneState({ v: next[field] }).v, at: stamps[field] || 0 });
+  });
+  return changes;
+}
+
+// called by saveState with the stamped state; a no-op while sync is off
+function queueSyncChanges(prev, next){
+  if (!syncEnabled()) return;
+  const changes = collectSyncChanges(prev, next);
+  if (!changes.length) return;
+  const meta = readSyncMeta();
+  changes.forEach(c => { meta.queue[syncChangeKey(c)] = c; });
+  writeSyncMeta(meta);
+  scheduleSync(SYNC_DEBOUNCE_MS);
+}
+
+// Fold changes pulled from the server into the state, by the server's rules: the newer
+// stamp wins, a deletion wins a tie, and on any other tie the server's copy wins, which
+// is how two devices that never edited a field (stamp 0) agree on one value.
+function applySyncChanges(changes){
+  if (!stateCache || !changes.length) return;
+  const state = cloneState(stateCache);
+  let changed = false;
+  changes.forEach(c => {
+    if (c.field !== undefined) {
+      if (UNSYNCED_FIELDS.includes(c.field) || (c.at || 0) < (state.fieldStamps[c.field] || 0)) return;
+      if (JSON.stringify(state[c.field]) === JSON.stringify(c.value)) return;
+      state[c.field] = c.value;
+      state.fieldStamps[c.field] = c.at || 0;
+      changed = true;
+      return;
+    }
+    if (typeof c.deletedAt === 'number') {
+      if ((state.tombstones[c.id] || 0) < c.deletedAt && !tombstoneExpired(c.deletedAt)) { state.tombstones[c.id] = c.deletedAt; changed = true; }
+      SYNCED_COLLECTIONS.forEach(kind => {
+        const index = (state[kind] || []).findIndex(x => x.id === c.id);
+        if (index !== -1 && (state[kind][index].updatedAt || 0) <= c.deletedAt) { state[kind].splice(index, 1); changed = true; }
+      });
+      return;
+    }
+    if (!c.item || !SYNCED_COLLECTIONS.includes(c.kind)) return;
+    if (state.tombstones[c.id] !== undefined && state.tombstones[c.id] >= (c.item.updatedAt || 0)) return;
+    const items = state[c.kind] || (state[c.kind] = []);
+    const index = items.findIndex(x => x.id === c.id);
+    const local = items[index];
+    if (local && ((local.updatedAt || 0) > (c.item.updatedAt || 0) || JSON.stringify(local) === JSON.stringify(c.item))) return;
+    if (local) items[index] = c.item; else items.unshift(c.item);
+    changed = true;
+  });
+  if (!changed) return;
+  validateState(state);
+  stateCache = state;
+  const snapshot = cloneState(state);
+  persistState(snapshot).then(() => announceState(snapshot));
+  stateListeners.forEach(fn => fn(cloneState(stateCache)));
+}
+
+function scheduleSync(delay = 0){
+  clearTimeout(syncTimer);
+  if (syncEnabled()) syncTimer = setTimeout(syncNow, delay);
+}
+
+// One round trip: push the queue, pull everything newer than our revision. Sent changes
+// leave the queue only if they weren't changed again while the request was out.
+function syncNow(){
+  if (!syncEnabled() || !stateCache) return Promise.resolve();
+  if (syncInFlight) return syncInFlight;
+  const config = readSyncConfig();
+  const meta = readSyncMeta();
+  const sending = Object.values(meta.queue);
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.token) headers.Authorization = `Bearer ${config.token}`;
+  syncInFlight = fetch(`${config.endpoint.replace(/\/+$/, '')}/sync`, { method: 'POST', headers, body: JSON.stringify({ since: meta.revision, changes: sending }) })
+    .then(res => {
+      if (res.status === 401) throw new Error(tr('sync.badToken'));
+      if (!res.ok) throw new Error(tr('sync.serverError', { status: res.status }));
+      return res.json();
+    })
+    .then(body => {
+      if (!body || typeof body.revision !== 'number' || !Array.isArray(body.changes)) throw new Error(tr('sync.badResponse'));
+      const latest = readSyncMeta();
+      sending.forEach(c => {
+        const key = syncChangeKey(c);
+        if (JSON.stringify(latest.queue[key]) === JSON.stringify(c)) delete latest.queue[key];
+      });
+      Object.assign(latest, { revision: body.revision, lastSync: Date.now(), error: null });
+      writeSyncMeta(latest);
+      applySyncChanges(body.changes);
+    })
+    .catch(err => {
+      const latest = readSyncMeta();
+      // fetch rejects with a TypeError when the server can't be reached at all
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) latest.error = tr('sync.offline');
+      else latest.error = err instanceof TypeError ? tr('sync.unreachable') : (err.message || tr('sync.failedShort'));
+      writeSyncMeta(latest);
+    })
+    .then(() => {
+      syncInFlight = null;
+      const latest = readSyncMeta();
+      syncStatusListeners.forEach(fn => fn(latest));
+      // changes saved while the request was out go soon; otherwise just poll
+      scheduleSync(!latest.error && Object.keys(latest.queue).length ? SYNC_DEBOUNCE_MS : SYNC_POLL_MS);
+    });
+  return syncInFlight;
+}
+
+// turning sync on (or pointing it at another server) queues everything for a full push
+function configureSync(config){
+  const before = readSyncConfig();
+  writeSyncConfig(config);
+  if (!config.enabled || !config.endpoint) { clearTimeout(syncTimer); syncStatusListeners.forEach(fn => fn(readSyncMeta())); return Promise.resolve(); }
+  if (!before.enabled || before.endpoint !== config.endpoint) {
+    const queue = {};
+    if (stateCache) collectSyncChanges(null, stateCache).forEach(c => { queue[syncChangeKey(c)] = c; });
+    writeSyncMeta({ revision: 0, queue, lastSync: null, error: null });
+  }
+  return syncNow();
+}
+
+// "Synced 3 min ago", "Offline – 4 changes waiting", ...
+function describeSyncStatus(meta = readSyncMeta(), now = Date.now()){
+  if (!syncEnabled()) return tr('sync.off');
+  const waiting = Object.keys(meta.queue).length;
+  const pending = waiting ? ` – ${tr('sync.waiting', { count: waiting })}` : '';
+  if (meta.error) return `${meta.error}${pending}`;
+  if (!meta.lastSync) return `${tr('sync.never')}${pending}`;
+  const minutes = Math.floor((now - meta.lastSync) / 60000);
+  return `${minutes < 1 ? tr('sync.justNow') : tr('sync.minutesAgo', { count: minutes })}${pending}`;
+}
+
+function onSyncStatus(fn){ syncStatusListeners.push(fn); }
+
+// run on every page: sync now, after saves, when the tab wakes or the network returns
+function startSync(){
+  window.addEventListener('online', () => scheduleSync());
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') scheduleSync(); });
+  scheduleSync();
+}
+
+/* -------- Recurring task templates (shared) -------- */
+// does a template's rule fall on the given local date key?
+function templateMatches(template, dateKey){
+  const rule = template.rule || { type: 'daily' };
+  if (template.startDate && dateKey < template.startDate) return false;
+  const date = parseDateKey(dateKey);
+  switch (rule.type) {
+    case 'weekdays':
+      return (rule.weekdays || []).includes(date.getDay());
+    case 'interval': {
+      const every = Math.max(1, Number(rule.every) || 1);
+      const start = parseDateKey(template.startDate || dateKey);
+      // round to whole days so DST changes don't shift the cadence
+      const diff = Math.round((date - start) / 86400000);
+      return diff % every === 0;
+    }
+    case 'monthly': {
+      // clamp to the last day so "day 31" still fires in shorter months
+      const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      return date.getDate() === Math.min(Number(rule.day) || 1, daysInMonth);
+    }
+    default:
+      return true;
+  }
+}
+
+// human-readable summary of a template rule for the management list
+function describeTemplateRule(rule = {}){
+  switch (rule.type) {
+    case 'weekdays': return (rule.weekdays || []).slice().sort().map(d => weekdayName(d)).join(', ') || tr('templates.noDays');
+    case 'interval': return Number(rule.every) === 1 ? tr('templates.daily') : tr('templates.everyN', { count: rule.every });
+    case 'monthly': return tr('templates.monthlyOn', { day: rule.day });
+    default: return tr('templates.daily');
+  }
+}
+
+// create today's task objects from active templates; returns how many were added.
+// `lastRun` makes this idempotent, so a deleted instance is not recreated the same day.
+function instantiateTemplates(state, dateKey = todayKey()){
+  if (!state.tasks) state.tasks = [];
+  let added = 0;
+  (state.templates || []).forEach(tpl => {
+    if (tpl.paused || (tpl.lastRun && tpl.lastRun >= dateKey)) return;
+    if (!templateMatches(tpl, dateKey)) return;
+    const exists = state.tasks.some(t => t.templateId === tpl.id && t.createdAt === dateKey);
+    if (!exists) {
+      const task = {
+        id: generateId(),
+        text: tpl.text,
+        completed: false,
+        createdAt: dateKey,
+        completedAt: null,
+        templateId: tpl.id,
+        listId: tpl.listId || targetListId(state)
+      };
+      // set by quick add ("gym every weekday 7am !high #health")
+      if (tpl.tags && tpl.tags.length) task.tags = tpl.tags.slice();
+      if (PRIORITIES.includes(tpl.priority)) task.priority = tpl.priority;
+      if (TIME_RE.test(tpl.dueTime || '')) task.dueTime = tpl.dueTime;
+      state.tasks.unshift(task);
+      added++;
+    }
+    tpl.lastRun = dateKey;
+  });
+  return added;
+}
+
+/* -------- Backup export / import (shared) -------- */
+// Bump when the backup file layout changes; older versions must stay importable
+const BACKUP_VERSION = 1;
+
+function buildBackup(state){
+  return {
+    app: 'legacy-arc',
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    state: {
+      schemaVersion: state.schemaVersion || SCHEMA_VERSION,
+      appTitle: state.appTitle || 'Legacy Arc',
+      lists: state.lists || [],
+      tasks: state.tasks || [],
+      templates: state.templates || [],
+      quotes: state.quotes || [],
+      journal: state.journal || [],
+      themes: state.themes || [],
+      settings: state.settings || {},
+      theme: state.theme || 'system',
+      quarantine: state.quarantine || []
+    }
+  };
+}
+
+// task history as CSV (one row per task); fields are quoted when they contain separators,
+// and ones a spreadsheet would run as a formula (=, +, -, @ …) get a leading apostrophe
+function buildTasksCsv(state){
+  const cols = ['id','text','list','tags','createdAt','dueTime','completed','completedAt','priority','templateId','rolledOver','droppedAt','focusMinutes'];
+  const listNames = new Map((state.lists || []).map(l => [l.id, l.name]));
+  const cell = (v) => {
+    let str = Array.isArray(v) ? v.join(';') : (v === null || v === undefined ? '' : String(v));
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const derived = { list: t => listNames.get(t.listId), focusMinutes: t => taskFocusMinutes(t) || '' };
+  const rows = (state.tasks || []).map(t => cols.map(c => cell(derived[c] ? derived[c](t) : t[c])).join(','));
+  return [cols.join(','), ...rows].join('\r\n');
+}
+
+// trigger a browser download for generated text content
+function downloadFile(filename, content, mime){
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Validate a parsed backup file. Accepts our versioned wrapper or a bare state object
+// (e.g. copied out of devtools). Throws with a readable message when unusable;
+// individual malformed tasks are skipped and counted instead of failing the import.
+function parseBackup(data){
+  if (!data || typeof data !== 'object') throw new Error(tr('backup.notBackup'));
+  let incoming = data;
+  if (data.app === 'legacy-arc') {
+    if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) throw new Error(tr('backup.newerVersion'));
+    incoming = data.state;
+  }
+  if (!incoming || !Array.isArray(incoming.tasks)) throw new Error(tr('backup.noTasks'));
+  // bring exports from older schema versions up to date before validating tasks
+  incoming = migrateState(cloneState(incoming));
+  const tasks = [];
+  let skipped = 0;
+  incoming.tasks.forEach(t => {
+    const valid = t && t.id !== undefined && typeof t.text === 'string' && DATE_KEY_RE.test(t.createdAt || '')
+      && (!t.completedAt || DATE_KEY_RE.test(t.completedAt));
+    if (!valid) { skipped++; return; }
+    tasks.push(Object.assign({}, t, { id: String(t.id), completed: !!t.completed, completedAt: t.completedAt || null }));
+  });
+  const lists = (incoming.lists || []).filter(l => l && l.id && typeof l.name === 'string');
+  if (!lists.length) lists.push(defaultState().lists[0]);
+  const listIds = new Set(lists.map(l => l.id));
+  tasks.forEach(t => { if (!listIds.has(t.listId)) t.listId = lists[0].id; });
+  return {
+    state: {
+      schemaVersion: SCHEMA_VERSION,
+      appTitle: typeof incoming.appTitle === 'string' ? incoming.appTitle : 'Legacy Arc',
+      lists,
+      activeListId: lists[0].id,
+      tasks,
+      templates: Array.isArray(incoming.templates) ? incoming.templates.filter(t => t && t.id && typeof t.text === 'string') : [],
+      quotes: Array.isArray(incoming.quotes) ? incoming.quotes.filter(q => q && q.id && typeof q.text === 'string') : [],
+      journal: Array.isArray(incoming.journal) ? incoming.journal.filter(j => j && DATE_KEY_RE.test(j.date) && typeof j.note === 'string') : [],
+      settings: (incoming.settings && typeof incoming.settings === 'object') ? incoming.settings : {},
+      themes: Array.isArray(incoming.themes) ? incoming.themes.filter(t => t && t.id && typeof t.name === 'string') : [],
+      theme: THEME_MODES.includes(incoming.theme) ? incoming.theme : 'system'
+    },
+    skipped
+  };
+}
+
+// summary of what an import would change, used for the preview before applying
+function diffBackup(local, incoming){
+  const localById = new Map((local.tasks || []).map(t => [t.id, t]));
+  const incomingIds = new Set(incoming.tasks.map(t => t.id));
+  const diff = { added: [], changed: [], unchanged: 0, localOnly: [] };
+  incoming.tasks.forEach(t => {
+    const mine = localById.get(t.id);
+    if (!mine) diff.added.push(t);
+    else if (mine.text !== t.text || mine.completed !== t.completed || mine.completedAt !== t.completedAt || mine.createdAt !== t.createdAt) diff.changed.push(t);
+    else diff.unchanged++;
+  });
+  (local.tasks || []).forEach(t => { if (!incomingIds.has(t.id)) diff.localOnly.push(t); });
+  return diff;
+}
+
+// "Replace" restore: the backup's items carry the stamps of the day it was taken, which
+// would lose to newer copies and tombstones in other tabs and on the sync server (and the
+// restore would be undone). Every restored item gets a fresh stamp, and local tombstones
+// are kept except for the ids the backup brings back.
+function restoreBackup(local, incoming){
+  const restored = cloneState(incoming);
+  const now = Date.now();
+  const tombstones = Object.assign({}, local.tombstones);
+  SYNCED_COLLECTIONS.forEach(kind => (restored[kind] || []).forEach(item => {
+    item.updatedAt = now;
+    delete tombstones[item.id];
+  }));
+  restored.tombstones = tombstones;
+  restored.fieldStamps = Object.assign({}, local.fieldStamps);
+  return restored;
+}
+
+// Merge an imported state into the local one. Tasks are deduped by id; when both sides
+// have the task, a completion on either side wins and the earliest completion date is kept.
+// Lists, templates, quotes, journal entries and named themes are added by id; app title,
+// theme and settings stay as they are locally.
+function mergeBackup(local, incoming){
+  const merged = Object.assign({}, local, { tasks: (local.tasks || []).map(t => Object.assign({}, t)) });
+  const byId = new Map(merged.tasks.map(t => [t.id, t]));
+  incoming.tasks.forEach(t => {
+    const mine = byId.get(t.id);
+    if (!mine) { merged.tasks.push(Object.assign({}, t)); return; }
+    const dates = [mine.completedAt, t.completedAt].filter(Boolean).sort();
+    mine.completed = !!(mine.completed || t.completed);
+    mine.completedAt = mine.completed ? (dates[0] || null) : null;
+    const slips = new Set([...(mine.rolledOver || []), ...(t.rolledOver || [])]);
+    if (slips.size) mine.rolledOver = [...slips].sort();
+  });
+  const templateIds = new Set((local.templates || []).map(t => t.id));
+  merged.templates = (local.templates || []).concat(incoming.templates.filter(t => !templateIds.has(t.id)));
+  const listIds = new Set((local.lists || []).map(l => l.id));
+  merged.lists = (local.lists || []).concat(incoming.lists.filter(l => !listIds.has(l.id)));
+  const quoteIds = new Set((local.quotes || []).map(q => q.id));
+  merged.quotes = (local.quotes || []).concat((incoming.quotes || []).filter(q => !quoteIds.has(q.id)));
+  const journalIds = new Set((local.journal || []).map(j => j.id));
+  merged.journal = (local.journal || []).concat((incoming.journal || []).filter(j => !journalIds.has(j.id)));
+  const themeIds = new Set((local.themes || []).map(t => t.id));
+  merged.themes = (local.themes || []).concat((incoming.themes || []).filter(t => !themeIds.has(t.id)));
+  return merged;
+}
+
+/* -------- iCalendar export / import (shared) --------
+   Tasks become RFC 5545 VTODOs: the task's day is DUE (a DATE, or a local DATE-TIME with
+   its due time), completion maps to STATUS/COMPLETED, tags to CATEGORIES. Optionally each
+   day with completed tasks is added as an all-day VEVENT. Import reads VTODOs and VEVENTs
+   back into tasks on their dates; the UID identifies an item, so importing twice adds nothing.
+   Recurrence rules (RRULE) are not expanded: a repeating event comes in once. */
+const ICS_UID_DOMAIN = 'legacy-arc';
+const ICS_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+function icsEscape(text){
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsUnescape(text){
+  return String(text).replace(/\\([\\;,nN])/g, (m, c) => (c === 'n' || c === 'N') ? '\n' : c);
+}
+
+// lines longer than 75 octets are folded onto continuation lines starting with a space
+function icsFold(line){
+  const bytes = (str) => new TextEncoder().encode(str).length;
+  if (bytes(line) <= 75) return line;
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    if (bytes(current + ch) > (parts.length ? 74 : 75)) { parts.push(current); current = ''; }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const icsDate = (dateKey) => dateKey.replace(/-/g, '');
+const icsUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// completion days are date keys; noon local time keeps them on the same day in any zone
+function icsCompleted(dateKey){
+  const date = parseDateKey(dateKey);
+  date.setHours(12, 0, 0, 0);
+  return icsUtc(date);
+}
+
+function buildIcs(state, { completedDays = false } = {}){
+  const stamp = icsUtc(new Date());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Legacy Arc//To-do//EN', 'CALSCALE:GREGORIAN'];
+  (state.tasks || []).forEach(t => {
+    lines.push('BEGIN:VTODO', `UID:${t.id}@${ICS_UID_DOMAIN}`, `DTSTAMP:${stamp}`, `SUMMARY:${icsEscape(t.text)}`);
+    lines.push(t.dueTime ? `DUE:${icsDate(t.createdAt)}T${t.dueTime.replace(':', '')}00` : `DUE;VALUE=DATE:${icsDate(t.createdAt)}`);
+    if (t.completed) {
+      lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+      if (t.completedAt) lines.push(`COMPLETED:${icsCompleted(t.completedAt)}`);
+    } else {
+      lines.push(t.droppedAt ? 'STATUS:CANCELLED' : 'STATUS:NEEDS-ACTION');
+    }
+    if (t.priority) lines.push(`PRIORITY:${ICS_PRIORITIES[t.priority]}`);
+    if (t.tags && t.tags.length) lines.push(`CATEGORIES:${t.tags.map(icsEscape).join(',')}`);
+    if (t.updatedAt) lines.push(`LAST-MODIFIED:${icsUtc(new Date(t.updatedAt))}`);
+    lines.push('END:VTODO');
+  });
+  if (completedDays) {
+    indexTasksByDay(state.tasks).forEach((tasks, key) => {
+      const summary = summarizeDay(tasks, key);
+      if (!summary.completed) return;
+      const done = tasks.filter(t => t.completedAt === key).map(t => `✓ ${t.text}`).join('\n');
+      lines.push('BEGIN:VEVENT', `UID:day-${icsDate(key)}@${ICS_UID_DOMAIN}`, `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(key)}`, `DTEND;VALUE=DATE:${icsDate(addDaysToKey(key, 1))}`,
+        `SUMMARY:${icsEscape(`✓ ${describeDay(summary)}`)}`, `DESCRIPTION:${icsEscape(done)}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// DATE (20261018), floating DATE-TIME (20261018T183000) or UTC (...Z) -> local { date, time }.
+// A TZID parameter is read as local time; the app has no time zone tables.
+function icsDateTime(value){
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value || '').trim());
+  if (!m) return null;
+  if (!m[4]) {
+    const key = `${m[1]}-${m[2]}-${m[3]}`;
+    return formatLocalDate(parseDateKey(key)) === key ? { date: key, time: null } : null;
+  }
+  const date = m[7]
+    ? new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]))
+    : new Date(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+  if (isNaN(date)) return null;
+  return { date: formatLocalDate(date), time: `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}` };
+}
+
+// the VTODO and VEVENT items of a calendar file as { type, props: { NAME: {value, params} } };
+// throws when the text isn't a calendar at all
+function parseIcsItems(text){
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(l => /^BEGIN:VCALENDAR$/i.test(l.trim()))) throw new Error(tr('ics.notCalendar'));
+  const items = [];
+  let current = null;
+  let depth = 0;
+  lines.forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon < 1) return;
+    const [name, ...params] = line.slice(0, colon).split(';');
+    const key = name.toUpperCase();
+    const value = line.slice(colon + 1);
+    if (key === 'BEGIN') {
+      // components nested in an item (VALARM) are skipped along with their properties
+      if (current) depth++;
+      else if (/^(VTODO|VEVENT)$/i.test(value.trim())) current = { type: value.trim().toUpperCase(), props: {} };
+      return;
+    }
+    if (key === 'END') {
+      if (current && depth) depth--;
+      else if (current) { items.push(current); current = null; }
+      return;
+    }
+    if (current && !depth && !current.props[key]) {
+      current.props[key] = { value, params: Object.fromEntries(params.map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v || ''])) };
+    }
+  });
+  return items;
+}
+
+// Tasks from an .ics file, ready to add. Items already in `state` (by UID: our own export
+// carries the task id, other files are remembered as icsUid) or repeated in the file count
+// as duplicates; items without a summary or a usable date are skipped.
+function parseIcs(text, state){
+  const known = new Set();
+  (state.tasks || []).forEach(t => { known.add(`${t.id}@${ICS_UID_DOMAIN}`); if (t.icsUid) known.add(t.icsUid); });
+  const result = { tasks: [], duplicates: 0, skipped: 0 };
+  parseIcsItems(text).forEach(({ type, props }) => {
+    const uid = props.UID ? props.UID.value.trim() : '';
+    // our own "completed day" events are summaries, not tasks
+    if (/^day-\d{8}@/.test(uid) && uid.endsWith(`@${ICS_UID_DOMAIN}`)) return;
+    const text = props.SUMMARY ? icsUnescape(props.SUMMARY.value).trim() : '';
+    const when = icsDateTime((type === 'VTODO' && props.DUE ? props.DUE : props.DTSTART || props.DUE || {}).value);
+    if (!text || !when) { result.skipped++; return; }
+    const key = uid || `${when.date}/${text}`;
+    if (known.has(key)) { result.duplicates++; return; }
+    known.add(key);
+    const ownId = uid.endsWith(`@${ICS_UID_DOMAIN}`) ? uid.slice(0, -ICS_UID_DOMAIN.length - 1) : null;
+    const task = { id: ownId || generateId(), text, completed: false, createdAt: when.date, completedAt: null, listId: null };
+    if (!ownId) task.icsUid = key;
+    if (when.time) task.dueTime = when.time;
+    const status = props.STATUS ? props.STATUS.value.trim().toUpperCase() : '';
+    if (status === 'COMPLETED' || props.COMPLETED) {
+      task.completed = true;
+      const done = props.COMPLETED && icsDateTime(props.COMPLETED.value);
+      task.completedAt = done ? done.date : (when.date < todayKey() ? when.date : null);
+    } else if (status === 'CANCELLED') {
+      task.droppedAt = when.date;
+    }
+    const priority = props.PRIORITY ? Number(props.PRIORITY.value) : 0;
+    if (priority >= 1 && priority <= 9) task.priority = priority <= 4 ? 'high' : priority === 5 ? 'medium' : 'low';
+    if (props.CATEGORIES) {
+      const tags = parseTags(props.CATEGORIES.value.split(/(?<!\\),/).map(c => '#' + icsUnescape(c).trim().replace(/\s+/g, '-')).join(' ')).tags;
+      if (tags.length) task.tags = tags;
+    }
+    result.tasks.push(task);
+  });
+  return result;
+}
+
+/* -------- Toast (shared) -------- */
+let toastTimer = null;
+// simple toast utility — ensures single toast shown and ARIA live is updated.
+// `action` ({label, onClick}) adds a button, e.g. Undo, and keeps the toast up longer.
+function showToast(message = tr('toast.saved'), duration = 1400, action = null){
+  const t = document.getElementById('toast');
+  if (!t) return;
+  // clear any existing timer
+  if (toastTimer) clearTimeout(toastTimer);
+  t.textContent = message;
+  t.classList.toggle('has-action', !!action);
+  const hide = () => {
+    t.classList.remove('visible', 'has-action');
+    t.setAttribute('aria-hidden','true');
+    toastTimer = null;
+  };
+  if (action) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => { clearTimeout(toastTimer); hide(); action.onClick(); });
+    t.appendChild(btn);
+    duration = Math.max(duration, 5000);
+  }
+  t.classList.add('visible');
+  // update aria-live politely
+  t.setAttribute('aria-hidden','false');
+  toastTimer = setTimeout(hide, duration);
+}
+
+/* -------- Focus trap (shared) --------
+   Dialogs (the calendar's day overlay, the close-the-day dialog) keep Tab and Shift+Tab inside while
+   open. trapFocus focuses the first control (or `initial`) and returns a release function;
+   release(true) hands focus back to whatever had it when the dialog opened. */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])';
+
+function focusableIn(container){
+  // controls inside a closed <details> can't take focus, only its summary can
+  return [...container.querySelectorAll(FOCUSABLE)]
+    .filter(el => !el.closest('[hidden]') && (el.matches('summary') || !el.closest('details:not([open])')));
+}
+
+function trapFocus(container, initial){
+  const opener = document.activeElement;
+  const onKeydown = (e) => {
+    if (e.key !== 'Tab') return;
+    const items = focusableIn(container);
+    if (!items.length) { e.preventDefault(); return; }
+    const first = items[0];
+    const last = items[items.length - 1];
+    const inside = container.contains(document.activeElement);
+    if (e.shiftKey && (!inside || document.activeElement === first)) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && (!inside || document.activeElement === last)) { e.preventDefault(); first.focus(); }
+  };
+  document.addEventListener('keydown', onKeydown);
+  (initial || focusableIn(container)[0])?.focus();
+  return (restore) => {
+    document.removeEventListener('keydown', onKeydown);
+    if (restore && opener && opener.isConnected) opener.focus();
+  };
+}
+
+/* -------- Undo / redo history (shared) --------
+   Each entry stores before/after copies of only the tasks (and top-level fields) an
+   action touched, so undoing never rolls back unrelated changes from other tabs.
+   History lives in sessionStorage: it survives moving between pages in this tab. */
+const HISTORY_KEY = STORAGE_KEY + ':history';
+const HISTORY_LIMIT = 50;
+
+function readHistory(){
+  try { return JSON.parse(sessionStorage.getItem(HISTORY_KEY)) || { undo: [], redo: [] }; }
+  catch (e) { return { undo: [], redo: [] }; }
+}
+function writeHistory(history){
+  try { sessionStorage.setItem(HISTORY_KEY, JSON.stringify(history)); } catch (e) {}
+}
+
+function snapshotFor(state, ids, fields){
+  const tasks = {};
+  ids.forEach(id => {
+    const t = (state.tasks || []).find(x => x.id === id);
+    tasks[id] = t ? cloneState(t) : null;
+  });
+  const values = {};
+  fields.forEach(k => { values[k] = state[k] === undefined ? null : cloneState({ v: state[k] }).v; });
+  return { tasks, fields: values };
+}
+
+// call before mutating: remembers how the affected tasks/fields looked
+function beginAction(state, ids = [], fields = []){
+  return { ids: ids.slice(), fields: fields.slice(), before: snapshotFor(state, ids, fields) };
+}
+
+// call after mutating (and with any ids created meanwhile added to pending.ids);
+// `label` is a STRINGS key, translated when the undo/redo toast shows it
+function commitAction(pending, state, label){
+  const after = snapshotFor(state, pending.ids, pending.fields);
+  if (JSON.stringify(after) === JSON.stringify(pending.before)) return;
+  const history = readHistory();
+  history.undo.push({ label, before: pending.before, after });
+  if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+  history.redo = [];
+  writeHistory(history);
+}
+
+function applySnapshot(state, snap){
+  Object.entries(snap.tasks).forEach(([id, copy]) => {
+    const index = state.tasks.findIndex(t => t.id === id);
+    if (!copy) {
+      if (index !== -1) state.tasks.splice(index, 1);
+      return;
+    }
+    // fresh stamp so the restored version wins when merged with other tabs
+    const restored = Object.assign(cloneState(copy), { updatedAt: Date.now() });
+    if (index !== -1) state.tasks[index] = restored;
+    else state.tasks.unshift(restored);
+  });
+  Object.entries(snap.fields).forEach(([k, v]) => { state[k] = v; });
+}
+
+// apply the last undo (or redo) entry to `state`; returns the entry, or null if none
+function stepHistory(state, direction){
+  const history = readHistory();
+  const from = direction === 'undo' ? history.undo : history.redo;
+  const to = direction === 'undo' ? history.redo : history.undo;
+  const entry = from.pop();
+  if (!entry) return null;
+  applySnapshot(state, direction === 'undo' ? entry.before : entry.after);
+  to.push(entry);
+  writeHistory(history);
+  return entry;
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y, Cmd on macOS); text fields keep their native undo
+function bindUndoKeys(onStep){
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    const el = document.activeElement;
+    if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+    e.preventDefault();
+    onStep(key === 'y' || e.shiftKey ? 'redo' : 'undo');
+  });
+}
+
+/* -------- Due times and reminders (shared) --------
+   Tasks may carry a due time on their day (`dueTime`, HH:MM) and a reminder offset in
+   minutes (`remindBefore`). checkReminders() fires what is due and then sleeps until the
+   next reminder, waking at least once a minute because timers in background or sleeping
+   tabs drift. Sent reminders are logged per browser, so a reload doesn't repeat them. */
+const REMINDER_LOG_KEY = STORAGE_KEY + ':reminders';
+const REMINDER_OFFSETS = [0, 5, 15, 30, 60];
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+// reminders missed by more than this (browser closed, laptop asleep) are skipped silently
+const REMINDER_GRACE_MS = 2 * 60 * 60 * 1000;
+const REMINDER_POLL_MS = 60 * 1000;
+let reminderTimer = null;
+
+// local Date when the task is due, or null without a due time
+function dueDate(task){
+  if (!task.dueTime || !task.createdAt) return null;
+  const due = parseDateKey(task.createdAt);
+  const [h, m] = task.dueTime.split(':').map(Number);
+  due.setHours(h, m, 0, 0);
+  return due;
+}
+
+// "due in 45m", "due in 2h 5m", "due 18:30" or "overdue"; just the time once completed
+function describeDue(task, now = new Date()){
+  const due = dueDate(task);
+  if (!due) return '';
+  if (task.completed) return task.dueTime;
+  const minutes = Math.ceil((due - now) / 60000);
+  if (minutes < 0) return tr('due.overdue');
+  if (minutes < 60) return tr('due.inMinutes', { minutes });
+  if (minutes < 12 * 60) return minutes % 60 ? tr('due.inHoursMinutes', { hours: Math.floor(minutes / 60), minutes: minutes % 60 }) : tr('due.inHours', { hours: minutes / 60 });
+  return tr('due.at', { time: task.dueTime });
+}
+
+function describeReminder(minutes){
+  if (minutes === 0) return tr('reminder.atDue');
+  return minutes >= 60 ? tr('reminder.hoursBefore', { count: minutes / 60 }) : tr('reminder.minutesBefore', { count: minutes });
+}
+
+// <option>s for a reminder select: none, then every offset
+function reminderOptions(selected){
+  return `<option value="">${tr('reminder.none')}</option>`
+    + REMINDER_OFFSETS.map(m => `<option value="${m}" ${selected === m ? 'selected' : ''}>${describeReminder(m)}</option>`).join('');
+}
+
+// every reminder for the current data: {key, at (ms), title, body}
+function collectReminders(state, now = new Date()){
+  const reminders = [];
+  (state.tasks || []).forEach(t => {
+    if (t.completed || t.droppedAt || typeof t.remindBefore !== 'number') return;
+    const due = dueDate(t);
+    if (!due) return;
+    reminders.push({
+      key: `task:${t.id}:${t.createdAt}T${t.dueTime}-${t.remindBefore}`,
+      at: due.getTime() - t.remindBefore * 60000,
+      title: t.text,
+      body: t.remindBefore ? tr('reminder.dueAt', { time: t.dueTime }) : tr('reminder.dueNow', { time: t.dueTime })
+    });
+  });
+  // evening nudge to close the day, unless it already is; mentions tasks still open
+  const evening = getSettings(state).eveningReminder;
+  const today = todayKey(now);
+  if (evening && TIME_RE.test(evening) && !journalEntry(state, today)) {
+    const open = (state.tasks || []).filter(t => t.createdAt === today && !t.completed && !t.droppedAt).length;
+    const at = parseDateKey(today);
+    at.setHours(...evening.split(':').map(Number), 0, 0);
+    reminders.push({ key: `evening:${today}`, at: at.getTime(), title: 'Legacy Arc', body: open ? tr('reminder.eveningBody', { count: open }) : tr('reminder.closeDay') });
+  }
+  return reminders;
+}
+
+function readReminderLog(){
+  try { return JSON.parse(localStorage.getItem(REMINDER_LOG_KEY)) || {}; } catch (e) { return {}; }
+}
+
+// keep a few days of sent reminders; older keys can't come due again
+function writeReminderLog(log){
+  const cutoff = Date.now() - 3 * 24 * 60 * 60 * 1000;
+  Object.keys(log).forEach(k => { if (log[k] < cutoff) delete log[k]; });
+  try { localStorage.setItem(REMINDER_LOG_KEY, JSON.stringify(log)); } catch (e) { /* private mode: reminders may repeat after a reload */ }
+}
+
+// system notification when allowed, otherwise a toast on the open page
+function notify(reminder){
+  if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+    try {
+      // the tag lets the OS collapse duplicates when several tabs fire at once
+      const n = new Notification(reminder.title, { body: reminder.body, tag: reminder.key });
+      n.onclick = () => { window.focus(); n.close(); };
+      return;
+    } catch (e) { /* some mobile browsers only allow notifications from a service worker */ }
+  }
+  if (document.visibilityState === 'visible') showToast(`⏰ ${reminder.title} — ${reminder.body}`, 8000);
+}
+
+// ask once, from a user action (setting a reminder); resolves to the permission state
+function requestNotificationPermission(){
+  if (typeof Notification === 'undefined') return Promise.resolve('unsupported');
+  if (Notification.permission !== 'default') return Promise.resolve(Notification.permission);
+  return Promise.resolve(Notification.requestPermission()).catch(() => 'default');
+}
+
+function checkReminders(){
+  const now = Date.now();
+  const log = readReminderLog();
+  let next = now + REMINDER_POLL_MS;
+  collectReminders(loadState(), new Date(now)).forEach(r => {
+    if (log[r.key]) return;
+    if (r.at > now) { next = Math.min(next, r.at); return; }
+    log[r.key] = now;
+    if (now - r.at <= REMINDER_GRACE_MS) notify(r);
+  });
+  writeReminderLog(log);
+  clearTimeout(reminderTimer);
+  reminderTimer = setTimeout(checkReminders, Math.max(1000, next - now));
+}
+
+// run on every page: re-check when a tab wakes up or another tab changes the data
+function startReminders(){
+  document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'visible') checkReminders(); });
+  onExternalStateChange(checkReminders);
+  checkReminders();
+}
+
+/* -------- Focus timer (shared) --------
+   A Pomodoro timer started from a task on the home page. The running timer is kept in
+   localStorage for this browser (like the undo history) as {taskId, phase: 'work'|'break',
+   minutes, endsAt (ms)} or, while paused, with `remaining` (ms) instead of endsAt. Absolute
+   end times keep it correct across reloads and sleeping tabs. Finished work phases are
+   logged on the task as `focusSessions`, counted on the day they ended. */
+const FOCUS_KEY = STORAGE_KEY + ':focus';
+const FOCUS_TICK_MS = 1000;
+let focusTimerCache = null;
+
+function readFocusTimer(){
+  try { return JSON.parse(localStorage.getItem(FOCUS_KEY)); } catch (e) { return focusTimerCache; }
+}
+function writeFocusTimer(timer){
+  focusTimerCache = timer;
+  try {
+    if (timer) localStorage.setItem(FOCUS_KEY, JSON.stringify(timer)); else localStorage.removeItem(FOCUS_KEY);
+  } catch (e) { /* private mode: the timer lasts as long as the page */ }
+}
+
+function focusRemaining(timer, now = Date.now()){
+  return typeof timer.remaining === 'number' ? timer.remaining : Math.max(0, timer.endsAt - now);
+}
+
+// "24:59"
+function formatClock(ms){
+  const seconds = Math.ceil(ms / 1000);
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function newFocusPhase(taskId, phase, minutes, from = Date.now()){
+  return { taskId, phase, minutes, endsAt: from + minutes * 60000 };
+}
+
+// total logged focus minutes of a task, optionally for one day only
+function taskFocusMinutes(task, dateKey){
+  return (task.focusSessions || []).filter(s => !dateKey || s.date === dateKey).reduce((sum, s) => sum + s.minutes, 0);
+}
+
+// date key -> focus minutes across the given tasks
+function focusMinutesByDay(tasks){
+  const days = new Map();
+  (tasks || []).forEach(t => (t.focusSessions || []).forEach(s => days.set(s.date, (days.get(s.date) || 0) + s.minutes)));
+  return days;
+}
+
+// whole minutes only; returns false when nothing was logged (task deleted, under a minute)
+function logFocusSession(state, taskId, minutes, dateKey = todayKey()){
+  const task = (state.tasks || []).find(t => t.id === taskId);
+  minutes = Math.floor(minutes);
+  if (!task || minutes < 1) return false;
+  task.focusSessions = (task.focusSessions || []).concat({ date: dateKey, minutes });
+  return true;
+}
+
+// minutes worked so far in a running or paused work phase
+function focusElapsedMinutes(timer, now = Date.now()){
+  if (timer.phase !== 'work') return 0;
+  return (timer.minutes * 60000 - focusRemaining(timer, now)) / 60000;
+}
+
+// Move the stored timer past every phase that has ended by `now`: a finished work phase is
+// logged on `state` and followed by a break, a finished break ends the timer. Returns the
+// phases that ended; the caller saves `state`.
+function advanceFocusTimer(state, now = Date.now()){
+  // re-read first so two open tabs never log the same phase twice
+  let timer = readFocusTimer();
+  const ended = [];
+  while (timer && typeof timer.remaining !== 'number' && timer.endsAt <= now) {
+    ended.push(timer);
+    if (timer.phase === 'work') {
+      logFocusSession(state, timer.taskId, timer.minutes, todayKey(new Date(timer.endsAt)));
+      const breakMinutes = getSettings(state).focusBreak;
+      timer = breakMinutes > 0 ? newFocusPhase(timer.taskId, 'break', breakMinutes, timer.endsAt) : null;
+    } else {
+      timer = null;
+    }
+  }
+  if (ended.length) writeFocusTimer(timer);
+  return ended;
+}
+
+// announce the latest phase that ended, unless it ended long ago (page closed, laptop asleep)
+function notifyFocusEnd(ended, state, now = Date.now()){
+  const timer = ended[ended.length - 1];
+  if (!timer || now - timer.endsAt > REMINDER_POLL_MS) return;
+  const task = (state.tasks || []).find(t => t.id === timer.taskId);
+  notify(timer.phase === 'work'
+    ? { key: `focus:${timer.endsAt}`, title: tr('focus.doneTitle'), body: tr(task ? 'focus.doneBodyTask' : 'focus.doneBody', { minutes: timer.minutes, task: task && task.text }) }
+    : { key: `focus:${timer.endsAt}`, title: tr('focus.breakOverTitle'), body: task ? tr('focus.backTo', { task: task.text }) : tr('focus.nextSession') });
+}
+
+// pages without the focus bar still log finished phases and notify
+function startFocusTimer(){
+  setInterval(() => {
+    if (!readFocusTimer()) return;
+    const state = loadState();
+    const ended = advanceFocusTimer(state);
+    if (!ended.length) return;
+    saveState(state);
+    notifyFocusEnd(ended, state);
+  }, FOCUS_TICK_MS);
 }
 
-// small utility: escape HTML to avoid injection when injecting user text into DOM
-function escapeHtml(s){ return (s+'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+/* -------- Theme management (shared) --------
+   state.theme is the mode: 'system' follows prefers-color-scheme (also when it changes
+   while a page is open), 'light' and 'dark' are fixed. The accent color and heatmap
+   palette in settings are set as CSS custom properties on <html>, over the stylesheet's
+   values for the mode. Named themes (state.themes) bundle all three and can be shared
+   as small JSON files. */
+const THEME_MODES = ['system', 'light', 'dark'];
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+// heatmap palettes by base color; the four levels are the color at rising opacity
+const HEAT_PALETTES = { green: '#39ff14', cyan: '#00ffff', magenta: '#ff00ff', amber: '#ffb020', blue: '#3ea6ff', grey: '#9ca3af' };
+const HEAT_OPACITY = [0.22, 0.45, 0.7, 1];
+const THEME_PROPERTIES = ['--accent', '--heat-1', '--heat-2', '--heat-3', '--heat-4'];
+const systemDarkQuery = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// the data-theme a mode shows right now
+function resolveThemeMode(mode){
+  if (mode === 'light' || mode === 'dark') return mode;
+  return systemDarkQuery && systemDarkQuery.matches ? 'dark' : 'light';
+}
+
+// '#39ff14', 0.45 -> 'rgba(57,255,20,0.45)'
+function hexToRgba(hex, alpha){
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${n >> 16},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+// custom properties that settings override; defaults are left to the stylesheet
+function themeTokens(settings){
+  const tokens = {};
+  if (settings.accent) tokens['--accent'] = settings.accent;
+  if (settings.heatPalette !== DEFAULT_SETTINGS.heatPalette) {
+    const base = HEAT_PALETTES[settings.heatPalette];
+    HEAT_OPACITY.forEach((alpha, i) => { tokens[`--heat-${i + 1}`] = alpha === 1 ? base : hexToRgba(base, alpha); });
+  }
+  return tokens;
+}
 
-/* -------- Theme management (shared) -------- */
 function applyTheme(theme){
-  document.documentElement.setAttribute('data-theme', theme === 'dark' ? 'dark' : 'light');
+  const mode = THEME_MODES.includes(theme) ? theme : 'system';
+  const root = document.documentElement;
+  root.setAttribute('data-theme', resolveThemeMode(mode));
   const state = loadState();
-  state.theme = theme;
-  saveState(state);
+  if (state.theme !== mode) {
+    state.theme = mode;
+    saveState(state);
+  }
+  const tokens = themeTokens(getSettings(state));
+  THEME_PROPERTIES.forEach(prop => {
+    if (tokens[prop]) root.style.setProperty(prop, tokens[prop]);
+    else root.style.removeProperty(prop);
+  });
 
-  // Update theme icons (sun for light, moon for dark)
+  // Update theme icons (sun for light, moon for dark, half-filled circle for system)
   const sunPaths = '<circle cx="12" cy="12" r="3"/><path d="M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42"/>';
   const moonPaths = '<path fill="currentColor" d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/>';
-  const themeIcon = document.getElementById('themeIcon');
-  const themeIconCal = document.getElementById('themeIconCal');
-  if (themeIcon) themeIcon.innerHTML = theme === 'dark' ? moonPaths : sunPaths;
-  if (themeIconCal) themeIconCal.innerHTML = theme === 'dark' ? moonPaths : sunPaths;
+  const systemPaths = '<circle cx="12" cy="12" r="9"/><path fill="currentColor" d="M12 3a9 9 0 0 1 0 18z"/>';
+  // one theme button per page
+  ['themeIcon', 'themeIconCal', 'themeIconArchive', 'themeIconStats'].forEach(id => {
+    const icon = document.getElementById(id);
+    if (icon) icon.innerHTML = { light: sunPaths, dark: moonPaths, system: systemPaths }[mode];
+  });
+}
+// the header button steps system -> light -> dark -> system
+function nextThemeMode(mode){
+  return THEME_MODES[(THEME_MODES.indexOf(mode) + 1) % THEME_MODES.length];
 }
 function toggleTheme(){
-  const s = loadState();
-  const next = s.theme === 'dark' ? 'light' : 'dark';
-  applyTheme(next);
+  applyTheme(nextThemeMode(loadState().theme));
+}
+
+// follow the system switching between light and dark, and theme changes from other tabs
+function watchTheme(){
+  const follow = () => applyTheme(loadState().theme);
+  if (systemDarkQuery) {
+    if (systemDarkQuery.addEventListener) systemDarkQuery.addEventListener('change', follow);
+    else if (systemDarkQuery.addListener) systemDarkQuery.addListener(follow);
+  }
+  onExternalStateChange(follow);
+}
+
+// A named theme with every field checked; unknown values fall back to the defaults.
+function normalizeTheme(theme){
+  return {
+    name: String(theme.name || '').trim().slice(0, 60),
+    mode: THEME_MODES.includes(theme.mode) ? theme.mode : 'system',
+    accent: HEX_COLOR_RE.test(theme.accent || '') ? theme.accent.toLowerCase() : '',
+    heatPalette: HEAT_PALETTES[theme.heatPalette] ? theme.heatPalette : DEFAULT_SETTINGS.heatPalette
+  };
+}
+
+// the file a theme is shared as; parseThemeFile reads it back
+function themeFile(theme){
+  return Object.assign({ app: 'legacy-arc', kind: 'theme' }, normalizeTheme(theme));
+}
+function parseThemeFile(data){
+  if (!data || data.app !== 'legacy-arc' || data.kind !== 'theme' || typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error(tr('theme.notTheme'));
+  }
+  return normalizeTheme(data);
+}
+
+// Save a theme under its name; a theme with the same name (any case) is replaced in place.
+function saveNamedTheme(state, theme){
+  const clean = normalizeTheme(theme);
+  if (!Array.isArray(state.themes)) state.themes = [];
+  const existing = state.themes.find(t => t.name.toLowerCase() === clean.name.toLowerCase());
+  if (existing) return Object.assign(existing, clean);
+  const created = Object.assign({ id: generateId() }, clean);
+  state.themes.push(created);
+  return created;
 }
 
 /* Realtime date/time updater */
@@ -67,7 +2013,7 @@ function updateDateTime(){
   const el = document.getElementById('dateTime');
   if (!el) return;
   const now = new Date();
-  el.textContent = now.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  el.textContent = now.toLocaleString(appLocale(), { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
 }
 function startDateTime(){
   updateDateTime();
@@ -75,83 +2021,588 @@ function startDateTime(){
   dtInterval = setInterval(updateDateTime, 1000);
 }
 
-// shorten the date shown in the nav bar (no seconds, compact)
-function updateDateTime(){
-  const el = document.getElementById('dateTime');
-  if (!el) return;
-  const now = new Date();
-  el.textContent = now.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-}
+// shorten the date shown in the nav bar (no seconds, compact)
+function updateDateTime(){
+  const el = document.getElementById('dateTime');
+  if (!el) return;
+  const now = new Date();
+  el.textContent = now.toLocaleString(appLocale(), { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/* -------- Main To-Do page logic -------- */
+function initTodos(){
+  const state = loadState();
+  // Elements
+  const listTitle = document.getElementById('listTitle');
+  const titleForm = document.getElementById('titleForm');
+  const taskForm = document.getElementById('taskForm');
+  const taskInput = document.getElementById('taskInput');
+  const taskList = document.getElementById('taskList');
+  const taskCount = document.getElementById('taskCount');
+  const progressBar = document.getElementById('progressBar');
+  const closeDayBtn = document.getElementById('closeDayBtn');
+  const quoteEl = document.getElementById('quote');
+  const appTitle = document.getElementById('appTitle');
+
+  const listColor = document.getElementById('listColor');
+
+  // load saved title (the active list's name; hidden in the "All" view)
+  const currentList = () => findList(state, getActiveListId(state));
+  listTitle.value = currentList()?.name || '';
+  if (appTitle) appTitle.textContent = state.appTitle || 'Legacy Arc';
+
+  // today's tasks of the active list in display order (manual or by priority, see Settings)
+  function todaysTasks(){
+    const listId = getActiveListId(state);
+    return sortDayTasks((state.tasks || []).filter(t => t.createdAt === todayKey() && inList(t, listId)), getSettings(state).taskSort);
+  }
+
+  function render(){
+    // keep an inline edit alive across re-renders (e.g. a change arriving from another tab)
+    const draft = editingTaskId ? taskList.querySelector('.task-edit')?.value : null;
+    const focused = focusedControl();
+    // clear list and only show tasks created for today (daily tasks reset at midnight)
+    taskList.innerHTML = '';
+    const tasks = todaysTasks();
+    const manual = getSettings(state).taskSort === 'manual';
+    const showAll = getActiveListId(state) === ALL_LISTS;
+    renderListBar();
+    // create DOM items
+    tasks.forEach(task => {
+      const li = document.createElement('li');
+      li.className = `task${task.priority ? ` priority-${task.priority}` : ''}`;
+      const list = findList(state, task.listId);
+      li.dataset.id = task.id;
+      li.tabIndex = 0;
+      li.draggable = manual;
+      li.title = manual ? tr('task.hintReorder') : tr('task.hintEdit');
+      const priorityLabel = tr(task.priority ? `priority.${task.priority}` : 'priority.none');
+      li.innerHTML = `
+        <label>
+          <div class="checkbox ${task.completed ? 'checked' : ''}" data-id="${task.id}" role="checkbox" aria-checked="${!!task.completed}" aria-labelledby="text-${task.id}" tabindex="0">${task.completed ? '✓' : ''}</div>
+          <div class="text ${task.completed ? 'completed' : ''}" id="text-${task.id}" data-edit="${task.id}">${escapeHtml(task.text)}</div>
+          ${tagChips(task)}
+          ${task.templateId ? `<span class="template-badge" title="${tr('task.recurring')}">↻</span>` : ''}
+          ${showAll && list ? `<span class="list-dot" style="--list-color:${escapeHtml(list.color)}" title="${escapeHtml(list.name)}"></span>` : ''}
+        </label>
+        ${subtaskToggle(task)}
+        ${dueChip(task)}
+        ${focusButton(task)}
+        <button class="priority-btn" data-id="${task.id}" title="${tr('priority.change', { priority: priorityLabel })}" aria-label="${tr('priority.current', { priority: priorityLabel })}">●</button>
+        <button class="delete" data-id="${task.id}" title="${tr('common.delete')}">🗑</button>
+        ${expandedTasks.has(task.id) ? subtaskListHtml(task) : ''}
+      `;
+      if (expandedTasks.has(task.id)) li.classList.add('expanded');
+      taskList.appendChild(li);
+    });
+    if (editingTaskId) {
+      if (tasks.some(t => t.id === editingTaskId)) startEditing(editingTaskId, draft);
+      else editingTaskId = null;
+    }
+    if (!editingTaskId) restoreFocus(focused);
+    taskCount.textContent = tr('task.count', { count: tasks.length });
+    renderTagPicker();
+
+    renderLeftovers();
+
+    // progress follows the list being viewed
+    const progressScope = document.getElementById('progressScope');
+    if (progressScope) progressScope.textContent = showAll ? tr('lists.allLists') : (currentList()?.name || '');
+
+    // progress bar: today's tasks weighted by subtask progress, with percentage display and counter
+    const progress = tasks.reduce((sum, t) => sum + taskProgress(t), 0);
+    const completed = tasks.filter(t => t.completed).length;
+    const pct = tasks.length ? Math.round((progress / tasks.length) * 100) : 0;
+    progressBar.style.width = pct + '%';
+    progressBar.parentElement.setAttribute('aria-valuenow', pct);
+    
+    // update percentage text and counter
+    const progressPercent = document.getElementById('progressPercent');
+    const progressCounter = document.getElementById('progressCounter');
+    if (progressPercent) progressPercent.textContent = pct + '%';
+    if (progressCounter) progressCounter.textContent = `${Math.round(progress * 10) / 10}/${tasks.length}`;
+    // screen readers hear the new totals once they change (the live region ignores repeats)
+    const progressStatus = document.getElementById('progressStatus');
+    const status = tr('progress.status', { done: completed, count: tasks.length, pct });
+    if (progressStatus && progressStatus.textContent !== status) progressStatus.textContent = status;
+
+    // add celebration animation when progress reaches 100%
+    if (pct === 100 && tasks.length > 0) {
+      progressBar.classList.add('complete');
+      setTimeout(() => progressBar.classList.remove('complete'), 1200);
+    }
+
+    // the day can be closed at any point; once it is, the button reopens the reflection
+    if (closeDayBtn) closeDayBtn.textContent = tr(journalEntry(state, todayKey()) ? 'closeDay.edit' : 'closeDay.button');
+  }
+
+  // render() rebuilds the list, so remember which task (and which of its buttons) had focus
+  const FOCUS_TARGETS = ['checkbox', 'subtask-toggle', 'due-chip', 'focus-btn', 'priority-btn', 'delete'];
+  function focusedControl(){
+    const el = document.activeElement;
+    const li = el && taskList.contains(el) ? el.closest('.task') : null;
+    if (!li) return null;
+    const target = FOCUS_TARGETS.find(c => el.classList.contains(c));
+    return { id: li.dataset.id, index: [...taskList.children].indexOf(li), selector: target ? `.${target}` : null };
+  }
+  function restoreFocus(saved){
+    if (!saved) return;
+    const li = taskList.querySelector(`.task[data-id="${saved.id}"]`);
+    if (li) { ((saved.selector && li.querySelector(saved.selector)) || li).focus(); return; }
+    // the task is gone (deleted, moved to another day): its neighbour takes focus
+    const items = taskList.children;
+    (items[Math.min(saved.index, items.length - 1)] || taskInput).focus();
+  }
+
+  // Subtasks: a "done/total" toggle on each task expands its checklist below it
+  const expandedTasks = new Set();
+  function subtaskToggle(task){
+    const subs = task.subtasks || [];
+    const done = subs.filter(s => s.done).length;
+    const label = subs.length ? `${done}/${subs.length}` : '☰';
+    return `<button class="subtask-toggle ${subs.length ? '' : 'empty'}" data-task="${task.id}" aria-expanded="${expandedTasks.has(task.id)}" title="${subs.length ? tr('subtasks.done', { done, count: subs.length }) : tr('subtasks.add')}">${label}</button>`;
+  }
+  function subtaskListHtml(task){
+    return `<div class="subtasks">
+        <ul class="subtask-list">${(task.subtasks || []).map(sub => `
+          <li class="subtask">
+            <label><input type="checkbox" class="subtask-check" data-task="${task.id}" data-sub="${sub.id}" ${sub.done ? 'checked' : ''} /> <span class="${sub.done ? 'completed' : ''}">${escapeHtml(sub.text)}</span></label>
+            <button type="button" class="subtask-delete" data-task="${task.id}" data-sub="${sub.id}" title="${tr('subtasks.delete')}" aria-label="${tr('subtasks.delete')}">✕</button>
+          </li>`).join('')}
+        </ul>
+        <form class="subtask-form" data-task="${task.id}"><input class="subtask-input" placeholder="${tr('subtasks.addOne')}" aria-label="${tr('subtasks.addOne')}" /><button type="submit">+</button></form>
+      </div>`;
+  }
+
+  taskList.addEventListener('click', e => {
+    const toggle = e.target.closest('.subtask-toggle');
+    if (toggle) {
+      const id = toggle.dataset.task;
+      if (expandedTasks.has(id)) expandedTasks.delete(id); else expandedTasks.add(id);
+      render();
+      if (expandedTasks.has(id)) taskList.querySelector(`.subtask-form[data-task="${id}"] input`)?.focus();
+      return;
+    }
+    const del = e.target.closest('.subtask-delete');
+    if (del) {
+      const task = state.tasks.find(t => t.id === del.dataset.task);
+      if (!task) return;
+      const action = beginAction(state, [task.id]);
+      task.subtasks = (task.subtasks || []).filter(s => s.id !== del.dataset.sub);
+      if (!task.subtasks.length) delete task.subtasks;
+      saveState(state);
+      commitAction(action, state, 'undo.deleteSubtask');
+      render();
+    }
+  });
+  taskList.addEventListener('change', e => {
+    if (!e.target.classList.contains('subtask-check')) return;
+    const task = state.tasks.find(t => t.id === e.target.dataset.task);
+    if (!task) return;
+    const action = beginAction(state, [task.id]);
+    setSubtaskDone(task, e.target.dataset.sub, e.target.checked);
+    saveState(state);
+    commitAction(action, state, e.target.checked ? 'undo.completeSubtask' : 'undo.uncompleteSubtask');
+    render();
+    taskList.querySelector(`.subtask-check[data-sub="${e.target.dataset.sub}"]`)?.focus();
+  });
+  taskList.addEventListener('submit', e => {
+    const form = e.target.closest('.subtask-form');
+    if (!form) return;
+    e.preventDefault();
+    const input = form.querySelector('.subtask-input');
+    const text = input.value.trim();
+    const task = state.tasks.find(t => t.id === form.dataset.task);
+    if (!text || !task) return;
+    const action = beginAction(state, [task.id]);
+    task.subtasks = (task.subtasks || []).concat({ id: generateId(), text, done: false });
+    // a new open subtask means the task isn't finished any more
+    setCompleted(task, false);
+    saveState(state);
+    commitAction(action, state, 'undo.addSubtask');
+    render();
+    taskList.querySelector(`.subtask-form[data-task="${task.id}"] input`)?.focus();
+  });
+
+  // due time chip: "due in 45m" / "overdue", or a clock to set one
+  function dueChipParts(task){
+    const label = describeDue(task);
+    const overdue = label && !task.completed && dueDate(task) < new Date();
+    const reminder = typeof task.remindBefore === 'number' ? ` • ${tr('due.reminder', { reminder: describeReminder(task.remindBefore) })}` : '';
+    return {
+      className: `due-chip ${overdue ? 'overdue' : ''} ${label ? '' : 'empty'}`,
+      title: label ? tr('due.change', { time: task.dueTime, reminder }) : tr('due.set'),
+      text: label || '⏰'
+    };
+  }
+  function dueChip(task){
+    const chip = dueChipParts(task);
+    return `<button class="${chip.className}" data-id="${task.id}" title="${escapeHtml(chip.title)}">${escapeHtml(chip.text)}</button>`;
+  }
+
+  // keep "due in …" labels current between renders; updated in place so a focused chip keeps focus
+  function refreshDueChips(){
+    taskList.querySelectorAll('.due-chip[data-id]').forEach(chip => {
+      const task = state.tasks.find(t => t.id === chip.dataset.id);
+      if (!task) return;
+      const parts = dueChipParts(task);
+      if (chip.textContent !== parts.text) chip.textContent = parts.text;
+      chip.className = parts.className;
+      chip.title = parts.title;
+    });
+  }
+  setInterval(refreshDueChips, 30 * 1000);
+
+  // Due time editor: replaces the chip with a time input and a reminder select
+  function startDueEditing(id){
+    const chip = taskList.querySelector(`.due-chip[data-id="${id}"]`);
+    const task = state.tasks.find(t => t.id === id);
+    if (!chip || !task) return;
+    const editor = document.createElement('span');
+    editor.className = 'due-edit';
+    editor.innerHTML = `<input type="time" value="${task.dueTime || ''}" aria-label="${tr('due.time')}" />
+      <select aria-label="${tr('reminder.label')}">${reminderOptions(task.remindBefore)}</select>
+      <button type="button" class="due-clear" title="${tr('due.remove')}">✕</button>`;
+    chip.replaceWith(editor);
+    const timeInput = editor.querySelector('input');
+    const remindSelect = editor.querySelector('select');
+    timeInput.focus();
+
+    let done = false;
+    const finish = (save, clear) => {
+      if (done) return;
+      done = true;
+      const time = clear ? '' : timeInput.value;
+      const remind = remindSelect.value === '' ? null : Number(remindSelect.value);
+      if (save && (time !== (task.dueTime || '') || remind !== (typeof task.remindBefore === 'number' ? task.remindBefore : null))) {
+        const action = beginAction(state, [id]);
+        setDue(task, time, remind);
+        saveState(state);
+        commitAction(action, state, 'undo.dueTime');
+        checkReminders();
+      }
+      render();
+      taskList.querySelector(`.due-chip[data-id="${id}"]`)?.focus();
+    };
+    editor.addEventListener('keydown', e => {
+      e.stopPropagation();
+      if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+      if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+    });
+    editor.addEventListener('focusout', e => { if (!editor.contains(e.relatedTarget)) finish(true); });
+    const clearBtn = editor.querySelector('.due-clear');
+    // keep focus in the time input so the focusout above doesn't save first
+    clearBtn.addEventListener('mousedown', e => e.preventDefault());
+    clearBtn.addEventListener('click', () => finish(true, true));
+  }
+
+  // a reminder needs a due time; asking for notification permission happens on the user's action
+  function setDue(task, time, remind){
+    if (TIME_RE.test(time)) task.dueTime = time; else delete task.dueTime;
+    if (task.dueTime && remind !== null) {
+      task.remindBefore = remind;
+      requestNotificationPermission().then(renderNotifyStatus);
+    } else {
+      delete task.remindBefore;
+    }
+  }
+
+  // Focus timer: ▶ on a task starts a work phase; the bar above the list shows the countdown
+  const focusBar = document.getElementById('focusBar');
+  function focusButton(task){
+    const timer = readFocusTimer();
+    const active = timer && timer.taskId === task.id;
+    const minutes = taskFocusMinutes(task);
+    const title = `${tr(active ? 'focus.running' : 'focus.start')}${minutes ? ` • ${tr('focus.soFar', { minutes })}` : ''}`;
+    return `<button class="focus-btn ${active ? 'active' : ''} ${minutes ? '' : 'empty'}" data-id="${task.id}" title="${title}" aria-label="${title}">▶${minutes ? ` ${minutes}m` : ''}</button>`;
+  }
+
+  // switching tasks ends the current session and logs what was done of it
+  function startFocusOn(id){
+    const current = readFocusTimer();
+    if (current && current.taskId === id && current.phase === 'work') { focusBar?.querySelector('button')?.focus(); return; }
+    if (current && logFocusSession(state, current.taskId, focusElapsedMinutes(current))) saveState(state);
+    writeFocusTimer(newFocusPhase(id, 'work', getSettings(state).focusWork));
+    requestNotificationPermission().then(renderNotifyStatus);
+    render();
+    renderFocusBar();
+  }
+
+  function focusCommand(command){
+    const timer = readFocusTimer();
+    if (!timer) return;
+    const now = Date.now();
+    if (command === 'pause') {
+      timer.remaining = focusRemaining(timer, now);
+      delete timer.endsAt;
+      writeFocusTimer(timer);
+    } else if (command === 'resume') {
+      timer.endsAt = now + timer.remaining;
+      delete timer.remaining;
+      writeFocusTimer(timer);
+    } else {
+      // stop or skip: a work phase cut short still counts for the minutes worked
+      if (logFocusSession(state, timer.taskId, focusElapsedMinutes(timer, now))) saveState(state);
+      const breakMinutes = getSettings(state).focusBreak;
+      let next = null;
+      if (command === 'skip' && timer.phase === 'break') next = newFocusPhase(timer.taskId, 'work', getSettings(state).focusWork, now);
+      if (command === 'skip' && timer.phase === 'work' && breakMinutes > 0) next = newFocusPhase(timer.taskId, 'break', breakMinutes, now);
+      writeFocusTimer(next);
+      render();
+    }
+    renderFocusBar();
+  }
 
-/* -------- Main To-Do page logic -------- */
-function initTodos(){
-  const state = loadState();
-  // Normalize any older ISO date strings in tasks to local YYYY-MM-DD
-  try {
-    (state.tasks || []).forEach(t => {
-      if (t.createdAt && t.createdAt.includes('T')) t.createdAt = formatLocalDate(new Date(t.createdAt));
-      if (t.completedAt && t.completedAt.includes('T')) t.completedAt = formatLocalDate(new Date(t.completedAt));
+  // rebuilt when the timer changes state; the once-a-second tick only updates the clock
+  function renderFocusBar(){
+    if (!focusBar) return;
+    const timer = readFocusTimer();
+    focusBar.style.display = timer ? '' : 'none';
+    if (!timer) { focusBar.innerHTML = ''; document.title = tr('home.pageTitle'); return; }
+    const task = state.tasks.find(t => t.id === timer.taskId);
+    const paused = typeof timer.remaining === 'number';
+    focusBar.classList.toggle('on-break', timer.phase === 'break');
+    focusBar.innerHTML = `
+      <span class="focus-phase">${tr(timer.phase === 'work' ? 'focus.work' : 'focus.break')}</span>
+      <strong class="focus-clock" role="timer">${formatClock(focusRemaining(timer))}</strong>
+      <span class="focus-task">${task ? escapeHtml(task.text) : tr('focus.deletedTask')}</span>
+      <button type="button" data-focus="${paused ? 'resume' : 'pause'}">${tr(paused ? 'focus.resume' : 'focus.pause')}</button>
+      <button type="button" data-focus="skip">${tr(timer.phase === 'work' ? 'focus.takeBreak' : 'focus.skipBreak')}</button>
+      <button type="button" data-focus="stop">${tr('focus.stop')}</button>`;
+    tickFocusClock();
+  }
+
+  function tickFocusClock(){
+    const timer = readFocusTimer();
+    const clock = focusBar?.querySelector('.focus-clock');
+    if (!timer || !clock) return;
+    const label = formatClock(focusRemaining(timer));
+    clock.textContent = label;
+    const phase = tr(timer.phase === 'work' ? 'focus.work' : 'focus.break');
+    document.title = `${label} ${phase}${typeof timer.remaining === 'number' ? ` ${tr('focus.paused')}` : ''} • ${tr('home.pageTitle')}`;
+  }
+
+  function focusTick(){
+    const ended = advanceFocusTimer(state);
+    if (!ended.length) { tickFocusClock(); return; }
+    saveState(state);
+    notifyFocusEnd(ended, state);
+    render();
+    renderFocusBar();
+  }
+
+  // called after the first render: catches up on phases that ended while the page was closed
+  function startFocusBar(){
+    if (!focusBar) return;
+    focusBar.addEventListener('click', e => {
+      const command = e.target.dataset && e.target.dataset.focus;
+      if (command) focusCommand(command);
     });
-  } catch(e){}
-  // Elements
-  const listTitle = document.getElementById('listTitle');
-  const titleForm = document.getElementById('titleForm');
-  const taskForm = document.getElementById('taskForm');
-  const taskInput = document.getElementById('taskInput');
-  const taskList = document.getElementById('taskList');
-  const taskCount = document.getElementById('taskCount');
-  const progressBar = document.getElementById('progressBar');
-  const quoteEl = document.getElementById('quote');
-  const appTitle = document.getElementById('appTitle');
+    // started, paused or stopped in another tab
+    window.addEventListener('storage', e => {
+      if (e.key !== FOCUS_KEY) return;
+      render();
+      renderFocusBar();
+    });
+    renderFocusBar();
+    focusTick();
+    setInterval(focusTick, FOCUS_TICK_MS);
+  }
 
-  // load saved title
-  listTitle.value = state.title || '';
-  if (appTitle) appTitle.textContent = state.appTitle || 'Legacy Arc';
+  // "Yesterday's leftovers": unfinished tasks from earlier days offered for today
+  const leftoversSection = document.getElementById('leftovers');
+  const leftoverList = document.getElementById('leftoverList');
+  function renderLeftovers(){
+    if (!leftoversSection || !leftoverList) return;
+    const listId = getActiveListId(state);
+    const leftovers = getSettings(state).carryOver ? getLeftovers(state).filter(t => inList(t, listId)) : [];
+    leftoversSection.style.display = leftovers.length ? '' : 'none';
+    leftoverList.innerHTML = leftovers.map(t => {
+      const from = formatDate(t.createdAt, { month:'short', day:'numeric' });
+      const slips = (t.rolledOver || []).length;
+      return `
+        <li class="leftover" data-id="${t.id}">
+          <div class="leftover-info">
+            <span class="text">${escapeHtml(t.text)}</span>
+            <small class="muted">${tr('leftovers.from', { date: from })}${slips ? ` • ${tr('leftovers.slipped', { count: slips })}` : ''}</small>
+          </div>
+          <div class="leftover-actions">
+            <button type="button" data-action="today" data-id="${t.id}">${tr('leftovers.toToday')}</button>
+            <input type="date" class="leftover-date" data-id="${t.id}" min="${todayKey()}" aria-label="${tr('leftovers.date')}" />
+            <button type="button" data-action="reschedule" data-id="${t.id}">${tr('leftovers.reschedule')}</button>
+            <button type="button" data-action="drop" data-id="${t.id}" title="${tr('leftovers.drop')}">✕</button>
+          </div>
+        </li>`;
+    }).join('');
+  }
 
-  function render(){
-    // clear list and only show tasks created for today (daily tasks reset at midnight)
-    taskList.innerHTML = '';
-    const tasks = (state.tasks || []).filter(t => t.createdAt === todayKey());
-    // create DOM items
-    tasks.forEach(task => {
-      const li = document.createElement('li');
-      li.className = 'task';
-      li.innerHTML = `
-        <label>
-          <div class="checkbox ${task.completed ? 'checked' : ''}" data-id="${task.id}">${task.completed ? '✓' : ''}</div>
-          <div class="text ${task.completed ? 'completed' : ''}">${escapeHtml(task.text)}</div>
-        </label>
-        <button class="delete" data-id="${task.id}" title="Delete">🗑</button>
-      `;
-      taskList.appendChild(li);
+  if (leftoversSection) {
+    leftoversSection.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const action = btn.dataset.action;
+      // bulk actions apply to every leftover currently offered
+      if (action === 'all-today' || action === 'all-drop') {
+        getLeftovers(state).filter(t => inList(t, getActiveListId(state))).forEach(t => {
+          if (action === 'all-today') rescheduleTask(t, todayKey());
+          else t.droppedAt = todayKey();
+        });
+        saveState(state);
+        render();
+        showToast(tr(action === 'all-today' ? 'leftovers.moved' : 'leftovers.droppedAll'));
+        return;
+      }
+      const t = state.tasks.find(t => t.id === btn.dataset.id);
+      if (!t) return;
+      if (action === 'today') {
+        rescheduleTask(t, todayKey());
+        showToast(tr('leftovers.moved'));
+      } else if (action === 'reschedule') {
+        const input = leftoverList.querySelector(`.leftover-date[data-id="${t.id}"]`);
+        const target = input && input.value;
+        if (!target || target < todayKey()) { showToast(tr('leftovers.pickDate')); return; }
+        rescheduleTask(t, target);
+        showToast(tr('leftovers.rescheduled', { date: formatDate(target, { month:'short', day:'numeric' }) }));
+      } else if (action === 'drop') {
+        t.droppedAt = todayKey();
+        showToast(tr('leftovers.dropped'));
+      }
+      saveState(state);
+      render();
     });
-    taskCount.textContent = `${tasks.length} task${tasks.length !== 1 ? 's' : ''}`;
+  }
 
-    // progress bar: percentage of today's tasks completed with percentage display and counter
-    const completed = tasks.filter(t => t.completed).length;
-    const pct = tasks.length ? Math.round((completed / tasks.length) * 100) : 0;
-    progressBar.style.width = pct + '%';
-    
-    // update percentage text and counter
-    const progressPercent = document.getElementById('progressPercent');
-    const progressCounter = document.getElementById('progressCounter');
-    if (progressPercent) progressPercent.textContent = pct + '%';
-    if (progressCounter) progressCounter.textContent = `${completed}/${tasks.length}`;
+  // Settings panel (preferences stored in state.settings)
+  const taskSortSelect = document.getElementById('settingTaskSort');
+  if (taskSortSelect) {
+    taskSortSelect.value = getSettings(state).taskSort;
+    taskSortSelect.addEventListener('change', () => {
+      state.settings = Object.assign(getSettings(state), { taskSort: taskSortSelect.value });
+      saveState(state);
+      render();
+    });
+  }
+  const carryOverToggle = document.getElementById('settingCarryOver');
+  if (carryOverToggle) {
+    carryOverToggle.checked = getSettings(state).carryOver;
+    carryOverToggle.addEventListener('change', () => {
+      state.settings = Object.assign(getSettings(state), { carryOver: carryOverToggle.checked });
+      saveState(state);
+      render();
+    });
+  }
 
-    // add celebration animation when progress reaches 100%
-    if (pct === 100 && tasks.length > 0) {
-      progressBar.classList.add('complete');
-      setTimeout(() => progressBar.classList.remove('complete'), 1200);
+  // Language and first day of the week; both redraw every text and weekday list on the page
+  const languageSelect = document.getElementById('settingLanguage');
+  const weekStartSelect = document.getElementById('settingWeekStart');
+  const taskRemindSelect = document.getElementById('taskRemind');
+  function syncLocaleInputs(){
+    if (languageSelect) languageSelect.value = getSettings(state).language;
+    if (weekStartSelect) {
+      weekStartSelect.innerHTML = WEEK_STARTS.map(d => `<option value="${d}">${escapeHtml(weekdayName(d, 'long'))}</option>`).join('');
+      weekStartSelect.value = getSettings(state).weekStart;
     }
-
-    // show "Save Day" button if all tasks are completed and there is at least one task
-    const saveDayBtn = document.getElementById('saveDayBtn');
-    if (saveDayBtn && tasks.length > 0 && completed === tasks.length) {
-      saveDayBtn.style.display = '';
-    } else if (saveDayBtn) {
-      saveDayBtn.style.display = 'none';
+    if (taskRemindSelect) {
+      const value = taskRemindSelect.value;
+      taskRemindSelect.innerHTML = reminderOptions();
+      taskRemindSelect.value = value;
     }
   }
+  languageSelect?.addEventListener('change', () => {
+    state.settings = Object.assign(getSettings(state), { language: languageSelect.value });
+    saveState(state);
+    applyLocale(state);
+    refreshUi();
+  });
+  weekStartSelect?.addEventListener('change', () => {
+    state.settings = Object.assign(getSettings(state), { weekStart: Number(weekStartSelect.value) });
+    saveState(state);
+    refreshUi();
+  });
+  syncLocaleInputs();
+
+  // Reminders: evening nudge time and notification permission status
+  const eveningInput = document.getElementById('settingEvening');
+  const notifyStatus = document.getElementById('notifyStatus');
+  function renderNotifyStatus(){
+    if (!notifyStatus) return;
+    const permission = typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+    notifyStatus.innerHTML = {
+      granted: tr('notify.on'),
+      denied: tr('notify.blocked'),
+      unsupported: tr('notify.unsupported'),
+      default: `<button type="button" id="enableNotifications">${tr('notify.enable')}</button>`
+    }[permission] || '';
+  }
+  if (notifyStatus) {
+    notifyStatus.addEventListener('click', e => {
+      if (e.target.id === 'enableNotifications') requestNotificationPermission().then(renderNotifyStatus);
+    });
+    renderNotifyStatus();
+  }
+  if (eveningInput) {
+    eveningInput.value = getSettings(state).eveningReminder;
+    eveningInput.addEventListener('change', () => {
+      const time = TIME_RE.test(eveningInput.value) ? eveningInput.value : '';
+      state.settings = Object.assign(getSettings(state), { eveningReminder: time });
+      saveState(state);
+      if (time) requestNotificationPermission().then(renderNotifyStatus);
+      checkReminders();
+    });
+  }
+
+  // Focus timer lengths in minutes; a running phase keeps the length it started with
+  const focusWorkInput = document.getElementById('settingFocusWork');
+  const focusBreakInput = document.getElementById('settingFocusBreak');
+  function syncFocusInputs(){
+    if (focusWorkInput) focusWorkInput.value = getSettings(state).focusWork;
+    if (focusBreakInput) focusBreakInput.value = getSettings(state).focusBreak;
+  }
+  [focusWorkInput, focusBreakInput].forEach(input => input?.addEventListener('change', () => {
+    const work = Math.round(Number(focusWorkInput.value));
+    const rest = Math.round(Number(focusBreakInput.value));
+    state.settings = Object.assign(getSettings(state), {
+      focusWork: work >= 1 && work <= 180 ? work : DEFAULT_SETTINGS.focusWork,
+      focusBreak: rest >= 0 && rest <= 60 ? rest : DEFAULT_SETTINGS.focusBreak
+    });
+    saveState(state);
+    syncFocusInputs();
+  }));
+  syncFocusInputs();
+
+  // Sync with a self-hosted server (per browser; see the Server sync section)
+  function setupSyncSettings(){
+    const enabledToggle = document.getElementById('syncEnabled');
+    const endpointInput = document.getElementById('syncEndpoint');
+    const tokenInput = document.getElementById('syncToken');
+    const statusEl = document.getElementById('syncStatus');
+    if (!enabledToggle || !endpointInput) return;
+    const config = readSyncConfig();
+    enabledToggle.checked = config.enabled;
+    endpointInput.value = config.endpoint;
+    if (tokenInput) tokenInput.value = config.token;
+    const renderStatus = () => { if (statusEl) statusEl.textContent = describeSyncStatus(); };
+
+    const apply = () => {
+      const endpoint = endpointInput.value.trim();
+      if (enabledToggle.checked && !/^https?:\/\/\S+$/i.test(endpoint)) {
+        enabledToggle.checked = false;
+        showToast(tr('sync.needAddress'), 2400);
+      }
+      configureSync({ enabled: enabledToggle.checked, endpoint, token: tokenInput ? tokenInput.value.trim() : '' });
+      renderStatus();
+    };
+    [enabledToggle, endpointInput, tokenInput].forEach(el => el?.addEventListener('change', apply));
+    document.getElementById('syncNow')?.addEventListener('click', () => {
+      if (!syncEnabled()) { showToast(tr('sync.turnOn')); return; }
+      syncNow().then(() => showToast(readSyncMeta().error ? tr('sync.failed', { error: readSyncMeta().error }) : tr('sync.done')));
+    });
+    onSyncStatus(renderStatus);
+    setInterval(renderStatus, 30 * 1000);
+    renderStatus();
+    return renderStatus;
+  }
+  const renderSyncStatus = setupSyncSettings() || (() => {});
 
   // schedule a refresh at local midnight so today's list clears automatically
   function scheduleMidnightRefresh(){
@@ -159,42 +2610,51 @@ function initTodos(){
     const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
     const ms = tomorrow.getTime() - now.getTime() + 50; // a small offset
     setTimeout(()=>{
-      // re-render so tasks not from today disappear after 11:59:59
+      // add the new day's recurring tasks before re-rendering
+      if (instantiateTemplates(state)) saveState(state);
+      // re-render so tasks not from today disappear after 11:59:59, and pick the new day's quote
       render();
+      renderQuote();
       // also re-run calendar to update stats if user is on calendar page
       if (document.getElementById('yearGrid')) initCalendar();
       scheduleMidnightRefresh();
     }, ms);
   }
 
-  // simple HTML-escape for safety
-  function escapeHtml(s){ return (s+'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
-
   // events: save title (show small toast "Saved"); hide save button until input changes
   const titleSaveBtn = titleForm.querySelector('button[type="submit"]');
-  let toastTimer = null;
   
   // initial visibility of the Save Title button: hide if the loaded value equals saved state
-  if (titleSaveBtn) {
+  function syncTitleSaveBtn(){
+    if (!titleSaveBtn) return;
     const current = (listTitle.value || '').trim();
-    if (current !== (state.title || '')) {
+    if (current && current !== (currentList()?.name || '')) {
       titleSaveBtn.style.display = '';
       titleSaveBtn.removeAttribute('aria-hidden');
+      titleSaveBtn.disabled = false;
     } else {
       titleSaveBtn.style.display = 'none';
       titleSaveBtn.setAttribute('aria-hidden','true');
     }
   }
+  syncTitleSaveBtn();
 
+  // the title form renames the active list
   titleForm.addEventListener('submit', e => {
     e.preventDefault();
     e.stopPropagation();
 
-    state.title = listTitle.value.trim();
+    const list = currentList();
+    const name = listTitle.value.trim();
+    if (!list || !name) return;
+    const action = beginAction(state, [], ['lists']);
+    list.name = name;
     saveState(state);
+    commitAction(action, state, 'undo.renameList');
+    renderListBar();
 
     // show toast at top center
-    showToast('Saved');
+    showToast(tr('toast.saved'));
 
     // hide the save button from view until input changes
     if (titleSaveBtn) {
@@ -204,52 +2664,210 @@ function initTodos(){
   });
 
   // show save button again when user edits the title (and the value differs from saved state)
-  listTitle.addEventListener('input', () => {
-    const current = listTitle.value.trim();
-    if (!titleSaveBtn) return;
-    if (current !== state.title) {
-      titleSaveBtn.style.display = '';
-      titleSaveBtn.removeAttribute('aria-hidden');
-      titleSaveBtn.disabled = false;
-    } else {
-      titleSaveBtn.style.display = 'none';
-      titleSaveBtn.setAttribute('aria-hidden','true');
-    }
-  });
+  listTitle.addEventListener('input', syncTitleSaveBtn);
+
+  // Lists: switcher chips, new-list form, color and delete for the active list
+  const listBar = document.getElementById('listBar');
+  const newListForm = document.getElementById('newListForm');
+  const newListName = document.getElementById('newListName');
+  const newListColor = document.getElementById('newListColor');
+  const deleteListBtn = document.getElementById('deleteList');
+
+  function renderListBar(){
+    if (!listBar) return;
+    const activeId = getActiveListId(state);
+    const today = todayKey();
+    const openCount = (listId) => (state.tasks || []).filter(t => t.createdAt === today && !t.completed && inList(t, listId)).length;
+    const chip = (id, name, color) => {
+      const count = openCount(id);
+      return `<button type="button" class="list-chip ${id === activeId ? 'active' : ''}" data-list="${escapeHtml(id)}" ${color ? `style="--list-color:${escapeHtml(color)}"` : ''} aria-pressed="${id === activeId}">${escapeHtml(name)}${count ? ` <span class="list-count">${count}</span>` : ''}</button>`;
+    };
+    listBar.innerHTML = chip(ALL_LISTS, tr('lists.all'), null)
+      + (state.lists || []).map(l => chip(l.id, l.name, l.color)).join('')
+      + `<button type="button" class="list-chip add" data-list-action="new" title="${tr('lists.new')}">${tr('lists.newChip')}</button>`;
+    // renaming/recoloring/deleting only makes sense for a single list
+    const list = currentList();
+    titleForm.style.display = list ? '' : 'none';
+    if (list && document.activeElement !== listTitle) listTitle.value = list.name;
+    if (list && listColor) listColor.value = list.color || LIST_COLORS[0];
+    if (deleteListBtn) deleteListBtn.disabled = (state.lists || []).length < 2;
+    syncTitleSaveBtn();
+  }
+
+  function switchList(id){
+    if (id === getActiveListId(state)) return;
+    state.activeListId = id;
+    saveState(state);
+    render();
+  }
+
+  if (listBar) {
+    listBar.addEventListener('click', e => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.listAction === 'new') {
+        newListForm.style.display = '';
+        newListColor.value = LIST_COLORS[(state.lists || []).length % LIST_COLORS.length];
+        newListName.focus();
+        return;
+      }
+      if (btn.dataset.list) switchList(btn.dataset.list);
+    });
+  }
+
+  if (newListForm) {
+    const closeNewList = () => { newListForm.reset(); newListForm.style.display = 'none'; };
+    document.getElementById('newListCancel')?.addEventListener('click', closeNewList);
+    newListForm.addEventListener('submit', e => {
+      e.preventDefault();
+      const name = newListName.value.trim();
+      if (!name) return;
+      const action = beginAction(state, [], ['lists']);
+      const list = { id: generateId(), name, color: newListColor.value || LIST_COLORS[0] };
+      state.lists.push(list);
+      state.activeListId = list.id;
+      saveState(state);
+      commitAction(action, state, 'undo.addList');
+      closeNewList();
+      render();
+      showToast(tr('lists.added', { name }));
+    });
+  }
+
+  if (listColor) {
+    listColor.addEventListener('change', () => {
+      const list = currentList();
+      if (!list) return;
+      const action = beginAction(state, [], ['lists']);
+      list.color = listColor.value;
+      saveState(state);
+      commitAction(action, state, 'undo.listColor');
+      render();
+    });
+  }
+
+  // deleting a list keeps its tasks: they move to the first remaining list
+  if (deleteListBtn) {
+    deleteListBtn.addEventListener('click', () => {
+      const list = currentList();
+      if (!list || state.lists.length < 2) return;
+      const remaining = state.lists.filter(l => l.id !== list.id);
+      const moved = state.tasks.filter(t => t.listId === list.id);
+      const action = beginAction(state, moved.map(t => t.id), ['lists', 'templates', 'activeListId']);
+      moved.forEach(t => { t.listId = remaining[0].id; });
+      (state.templates || []).forEach(t => { if (t.listId === list.id) t.listId = remaining[0].id; });
+      state.lists = remaining;
+      state.activeListId = remaining[0].id;
+      saveState(state);
+      commitAction(action, state, 'undo.deleteList');
+      render();
+      showUndoToast(tr('lists.deleted', { name: list.name, target: remaining[0].name }));
+    });
+  }
+
+  // Tag picker: inserts an existing #tag into the task input
+  const tagPicker = document.getElementById('tagPicker');
+  function renderTagPicker(){
+    if (!tagPicker) return;
+    const tags = collectTags(state.tasks);
+    tagPicker.innerHTML = '<option value="">#</option>' + tags.map(t => `<option value="${escapeHtml(t)}">#${escapeHtml(t)}</option>`).join('');
+    tagPicker.disabled = !tags.length;
+  }
+  if (tagPicker) {
+    tagPicker.addEventListener('change', () => {
+      const tag = tagPicker.value;
+      tagPicker.value = '';
+      if (!tag) return;
+      if (!parseTags(taskInput.value).tags.includes(tag)) taskInput.value = `${taskInput.value.trim()} #${tag} `.trimStart();
+      taskInput.focus();
+    });
+  }
 
-  // simple toast utility — ensures single toast shown and ARIA live is updated
-  function showToast(message = 'Saved', duration = 1400){
-    const t = document.getElementById('toast');
-    if (!t) return;
-    // clear any existing timer
-    if (toastTimer) clearTimeout(toastTimer);
-    t.textContent = message;
-    t.classList.add('visible');
-    // update aria-live politely
-    t.setAttribute('aria-hidden','false');
-    toastTimer = setTimeout(()=>{
-      t.classList.remove('visible');
-      t.setAttribute('aria-hidden','true');
-      toastTimer = null;
-    }, duration);
+  // quick add: chips under the input show the date, time, recurrence and priority found in the text
+  const quickPreview = document.getElementById('quickAddPreview');
+  function readQuickAdd(){
+    return parseQuickAdd(taskInput.value, { weekStart: getSettings(state).weekStart });
+  }
+  function renderQuickPreview(){
+    if (!quickPreview) return;
+    const parsed = readQuickAdd();
+    const chips = [];
+    if (parsed.date) {
+      const days = Math.round((parseDateKey(parsed.date) - parseDateKey(todayKey())) / 86400000);
+      const label = days === 0 ? tr('quickAdd.today') : days === 1 ? tr('quickAdd.tomorrow') : formatDate(parsed.date, { weekday:'short', month:'short', day:'numeric' });
+      chips.push(`<span class="quick-chip">📅 ${escapeHtml(label)}</span>`);
+    }
+    if (parsed.time) chips.push(`<span class="quick-chip">⏰ ${parsed.time}</span>`);
+    if (parsed.rule) chips.push(`<span class="quick-chip">↻ ${escapeHtml(describeTemplateRule(parsed.rule))}</span>`);
+    if (parsed.priority) chips.push(`<span class="quick-chip priority-${parsed.priority}">● ${tr(`priority.${parsed.priority}`)}</span>`);
+    quickPreview.hidden = !chips.length;
+    quickPreview.innerHTML = chips.length ? `<span class="quick-chip quick-text">${escapeHtml(parsed.text)}</span>${chips.join('')}` : '';
   }
+  taskInput.addEventListener('input', renderQuickPreview);
 
-  // add new task
+  // add new task (#tags in the text become the task's tags; see parseQuickAdd for the rest)
   taskForm.addEventListener('submit', e => {
     e.preventDefault();
-    const text = taskInput.value.trim();
+    const parsed = readQuickAdd();
+    const { text, tags } = parsed;
     if (!text) return;
+    const due = document.getElementById('taskDue');
+    const remind = document.getElementById('taskRemind');
+    const priority = document.getElementById('taskPriority');
+    // the form's own time and priority fields win over phrases in the text
+    const dueTime = (due && due.value) || parsed.time || '';
+    const taskPriority = priority && PRIORITIES.includes(priority.value) ? priority.value : parsed.priority;
+    const resetForm = () => {
+      taskInput.value = '';
+      if (due) due.value = '';
+      renderQuickPreview();
+    };
+    // "every ..." creates a recurring task, which adds today's instance if today matches
+    if (parsed.rule) {
+      const tpl = { id: generateId(), text, listId: targetListId(state), rule: parsed.rule, startDate: parsed.date || todayKey(), paused: false, lastRun: null };
+      if (tags.length) tpl.tags = tags;
+      if (taskPriority) tpl.priority = taskPriority;
+      if (TIME_RE.test(dueTime)) tpl.dueTime = dueTime;
+      if (!state.templates) state.templates = [];
+      state.templates.push(tpl);
+      instantiateTemplates(state);
+      saveState(state);
+      resetForm();
+      renderTemplates();
+      render();
+      showToast(tr('templates.added'));
+      return;
+    }
+    // a task for another day is planned ahead, as from the calendar overlay
+    const dateKey = parsed.date || todayKey();
+    const isToday = dateKey === todayKey();
+    const listId = targetListId(state);
+    const current = isToday ? todaysTasks() : sortDayTasks(state.tasks.filter(t => t.createdAt === dateKey && t.listId === listId));
+    const action = beginAction(state, current.map(t => t.id));
+    // today's new tasks go to the top of the manual order, planned ones to the end
+    applyOrder(current);
     const newTask = {
-      id: Date.now().toString(),
+      id: generateId(),
       text,
       completed: false,
-      createdAt: todayKey(),
-      completedAt: null
+      createdAt: dateKey,
+      completedAt: null,
+      order: isToday ? -1 : current.length,
+      listId
     };
+    if (tags.length) newTask.tags = tags;
+    setDue(newTask, dueTime, remind && remind.value !== '' ? Number(remind.value) : null);
+    if (taskPriority) newTask.priority = taskPriority;
     state.tasks.unshift(newTask); // newest first
+    applyOrder(isToday ? [newTask, ...current] : [...current, newTask]);
     saveState(state);
-    taskInput.value = '';
+    action.ids.push(newTask.id);
+    action.before.tasks[newTask.id] = null;
+    commitAction(action, state, 'undo.addTask');
+    resetForm();
+    if (newTask.remindBefore !== undefined) checkReminders();
     render();
+    if (!isToday) showUndoToast(tr(dateKey > todayKey() ? 'calendar.plannedFor' : 'calendar.addedTo', { date: formatDate(dateKey, { month:'short', day:'numeric' }) }));
   });
 
   // delegate clicks for checkbox toggle and delete
@@ -257,27 +2875,176 @@ function initTodos(){
     const id = e.target.dataset.id;
     if (!id) return;
     if (e.target.classList.contains('delete')) {
-      // delete
+      // delete (undoable from the toast or Ctrl+Z)
+      const action = beginAction(state, [id]);
       state.tasks = state.tasks.filter(t => t.id !== id);
       saveState(state);
+      commitAction(action, state, 'undo.deleteTask');
       render();
+      showUndoToast(tr('task.deleted'));
       return;
     }
     if (e.target.classList.contains('checkbox')) {
       // toggle complete
       const t = state.tasks.find(t => t.id === id);
       if (!t) return;
-      t.completed = !t.completed;
-      // Don't set completedAt here - only set it when Save Day button is clicked
+      const action = beginAction(state, [id]);
+      setTaskChecked(t, !t.completed);
+      saveState(state);
+      commitAction(action, state, t.completed ? 'undo.completeTask' : 'undo.uncompleteTask');
+      render();
+      return;
+    }
+    if (e.target.classList.contains('due-chip')) {
+      startDueEditing(id);
+      return;
+    }
+    if (e.target.classList.contains('focus-btn')) {
+      startFocusOn(id);
+      return;
+    }
+    if (e.target.classList.contains('priority-btn')) {
+      // cycle none -> high -> medium -> low -> none
+      const t = state.tasks.find(t => t.id === id);
+      if (!t) return;
+      const next = PRIORITIES[PRIORITIES.indexOf(t.priority) + 1];
+      if (next) t.priority = next; else delete t.priority;
       saveState(state);
       render();
+      taskList.querySelector(`.priority-btn[data-id="${id}"]`)?.focus();
+      return;
+    }
+  });
+
+  // Inline editing: double-click the text, or press Enter/F2 on a focused task
+  let editingTaskId = null;
+  function startEditing(id, draft){
+    const textEl = taskList.querySelector(`.text[data-edit="${id}"]`);
+    const task = state.tasks.find(t => t.id === id);
+    if (!textEl || !task) return;
+    editingTaskId = id;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'task-edit';
+    input.value = draft !== null && draft !== undefined ? draft : taskTextWithTags(task);
+    input.setAttribute('aria-label', tr('task.edit'));
+    textEl.replaceWith(input);
+    input.focus();
+    if (draft === null || draft === undefined) input.select();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      editingTaskId = null;
+      const { text, tags } = parseTags(input.value);
+      // id, createdAt and completion state are untouched; an empty edit is discarded
+      if (save && text && taskTextWithTags({ text, tags }) !== taskTextWithTags(task)) {
+        const action = beginAction(state, [id]);
+        task.text = text;
+        if (tags.length) task.tags = tags; else delete task.tags;
+        saveState(state);
+        commitAction(action, state, 'undo.editTask');
+        showUndoToast(tr('task.updated'));
+      }
+      render();
+      taskList.querySelector(`.task[data-id="${id}"]`)?.focus();
+    };
+    input.addEventListener('keydown', e => {
+      e.stopPropagation();
+      if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+      if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  taskList.addEventListener('dblclick', e => {
+    const textEl = e.target.closest('.text[data-edit]');
+    if (textEl) startEditing(textEl.dataset.edit);
+  });
+
+  // Reordering: move a task to a new index within today's displayed list
+  function moveTask(id, toIndex){
+    if (getSettings(state).taskSort !== 'manual') {
+      showToast(tr('task.manualOnly'));
+      return;
+    }
+    const list = todaysTasks();
+    const from = list.findIndex(t => t.id === id);
+    if (from === -1) return;
+    const target = Math.max(0, Math.min(list.length - 1, toIndex));
+    if (target === from) return;
+    const [task] = list.splice(from, 1);
+    list.splice(target, 0, task);
+    applyOrder(list);
+    saveState(state);
+    render();
+    taskList.querySelector(`.task[data-id="${id}"]`)?.focus();
+  }
+
+  taskList.addEventListener('keydown', e => {
+    // the checkbox toggles with Space (and Enter) like a native one
+    if (e.target.classList.contains('checkbox') && (e.key === ' ' || e.key === 'Enter')) {
+      e.preventDefault();
+      e.target.click();
       return;
     }
+    const li = e.target.closest('.task');
+    if (!li || e.target !== li) return;
+    if (e.key === 'Enter' || e.key === 'F2') {
+      e.preventDefault();
+      startEditing(li.dataset.id);
+    } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      const index = [...taskList.children].indexOf(li);
+      moveTask(li.dataset.id, index + (e.key === 'ArrowUp' ? -1 : 1));
+    }
+  });
+
+  // drag and drop (manual order only; items are draggable only in that mode)
+  let dragId = null;
+  taskList.addEventListener('dragstart', e => {
+    const li = e.target.closest('.task');
+    if (!li) return;
+    dragId = li.dataset.id;
+    li.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragId);
+  });
+  taskList.addEventListener('dragover', e => {
+    if (!dragId) return;
+    e.preventDefault();
+    const over = e.target.closest('.task');
+    taskList.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+    if (!over || over.dataset.id === dragId) return;
+    const rect = over.getBoundingClientRect();
+    over.classList.add(e.clientY < rect.top + rect.height / 2 ? 'drop-before' : 'drop-after');
+  });
+  taskList.addEventListener('drop', e => {
+    if (!dragId) return;
+    e.preventDefault();
+    const over = e.target.closest('.task');
+    const items = [...taskList.children];
+    if (over && over.dataset.id !== dragId) {
+      const from = items.findIndex(li => li.dataset.id === dragId);
+      let to = items.indexOf(over) + (over.classList.contains('drop-after') ? 1 : 0);
+      if (from < to) to--;
+      moveTask(dragId, to);
+    }
+  });
+  taskList.addEventListener('dragend', () => {
+    dragId = null;
+    taskList.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(el => el.classList.remove('dragging', 'drop-before', 'drop-after'));
   });
 
-  // theme toggle
+  // theme toggle: steps through the modes; goes through `state` so later saves keep it
   const themeBtn = document.getElementById('themeToggle');
-  if (themeBtn) themeBtn.addEventListener('click', toggleTheme);
+  if (themeBtn) themeBtn.addEventListener('click', () => {
+    state.theme = nextThemeMode(state.theme);
+    saveState(state);
+    applyTheme(state.theme);
+    renderAppearance();
+  });
 
   // Make app title editable - click to edit
   function setupAppTitleEditor() {
@@ -290,7 +3057,6 @@ function initTodos(){
       input.type = 'text';
       input.value = currentTitle;
       input.className = 'app-title-edit';
-      input.style.cssText = 'font-size: 1.2rem; letter-spacing: 0.6px; padding: 6px 10px; border: 2px solid #00ffff; border-radius: 8px; background: rgba(0,255,136,0.1); color: white; font-weight: inherit; font-family: inherit;';
       
       appTitle.replaceWith(input);
       input.focus();
@@ -298,164 +3064,1026 @@ function initTodos(){
 
       const saveTitle = () => {
         const newTitle = input.value.trim() || 'Legacy Arc';
+        const action = beginAction(state, [], ['appTitle']);
         state.appTitle = newTitle;
         saveState(state);
+        commitAction(action, state, 'undo.appTitle');
         
         const newTitle_elem = document.createElement('h1');
         newTitle_elem.className = 'app-title';
         newTitle_elem.id = 'appTitle';
-        newTitle_elem.title = 'Click to edit title';
+        newTitle_elem.title = tr('home.editTitle');
+        newTitle_elem.dataset.i18nTitle = 'home.editTitle';
         newTitle_elem.textContent = newTitle;
         input.replaceWith(newTitle_elem);
         
-        showToast('App title updated');
+        showToast(tr('home.titleUpdated'));
         setupAppTitleEditor();
       };
 
-      input.addEventListener('blur', saveTitle);
-      input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') saveTitle();
-        if (e.key === 'Escape') {
-          const restoredTitle = document.createElement('h1');
-          restoredTitle.className = 'app-title';
-          restoredTitle.id = 'appTitle';
-          restoredTitle.title = 'Click to edit title';
-          restoredTitle.textContent = state.appTitle || 'Legacy Arc';
-          input.replaceWith(restoredTitle);
-          setupAppTitleEditor();
+      input.addEventListener('blur', saveTitle);
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveTitle();
+        if (e.key === 'Escape') {
+          const restoredTitle = document.createElement('h1');
+          restoredTitle.className = 'app-title';
+          restoredTitle.id = 'appTitle';
+          restoredTitle.title = tr('home.editTitle');
+          restoredTitle.dataset.i18nTitle = 'home.editTitle';
+          restoredTitle.textContent = state.appTitle || 'Legacy Arc';
+          input.replaceWith(restoredTitle);
+          setupAppTitleEditor();
+        }
+      });
+    });
+  }
+  setupAppTitleEditor();
+
+  // Recurring task templates: create / edit / pause / delete from the home page
+  function setupTemplates(){
+    const form = document.getElementById('templateForm');
+    const list = document.getElementById('templateList');
+    if (!form || !list) return;
+    const textInput = document.getElementById('templateText');
+    const typeSelect = document.getElementById('templateType');
+    const weekdaysWrap = document.getElementById('templateWeekdays');
+    const intervalWrap = document.getElementById('templateIntervalWrap');
+    const intervalInput = document.getElementById('templateInterval');
+    const dayWrap = document.getElementById('templateDayWrap');
+    const dayInput = document.getElementById('templateDay');
+    const submitBtn = document.getElementById('templateSubmit');
+    const cancelBtn = document.getElementById('templateCancel');
+    let editingId = null;
+
+    // only show the inputs relevant to the selected rule type
+    function syncRuleFields(){
+      const type = typeSelect.value;
+      weekdaysWrap.style.display = type === 'weekdays' ? '' : 'none';
+      intervalWrap.style.display = type === 'interval' ? '' : 'none';
+      dayWrap.style.display = type === 'monthly' ? '' : 'none';
+    }
+
+    function readRule(){
+      const type = typeSelect.value;
+      if (type === 'weekdays') {
+        const weekdays = [...weekdaysWrap.querySelectorAll('input:checked')].map(i => Number(i.value));
+        return { type, weekdays };
+      }
+      if (type === 'interval') return { type, every: Math.max(1, parseInt(intervalInput.value, 10) || 1) };
+      if (type === 'monthly') return { type, day: Math.min(31, Math.max(1, parseInt(dayInput.value, 10) || 1)) };
+      return { type: 'daily' };
+    }
+
+    function resetForm(){
+      editingId = null;
+      form.reset();
+      submitBtn.textContent = tr('common.add');
+      cancelBtn.style.display = 'none';
+      syncRuleFields();
+    }
+
+    function renderTemplates(){
+      renderWeekdayChoices(weekdaysWrap, getSettings(state).weekStart);
+      const templates = state.templates || [];
+      if (!templates.length) {
+        list.innerHTML = `<li class="muted">${tr('templates.none')}</li>`;
+        return;
+      }
+      list.innerHTML = templates.map(tpl => `
+        <li class="template-item ${tpl.paused ? 'paused' : ''}" data-id="${tpl.id}">
+          <div class="template-info">
+            <span class="template-text">${escapeHtml(tpl.text)}</span>
+            <small class="muted">${escapeHtml(describeTemplateRule(tpl.rule))}${tpl.dueTime ? ` • ⏰ ${tpl.dueTime}` : ''}${(tpl.tags || []).map(tag => ` #${escapeHtml(tag)}`).join('')}${tpl.paused ? ` • ${tr('templates.paused')}` : ''}</small>
+          </div>
+          <div class="template-actions">
+            <button type="button" data-action="toggle" data-id="${tpl.id}">${tr(tpl.paused ? 'focus.resume' : 'focus.pause')}</button>
+            <button type="button" data-action="edit" data-id="${tpl.id}">${tr('common.edit')}</button>
+            <button type="button" data-action="delete" data-id="${tpl.id}" aria-label="${tr('templates.delete')}">🗑</button>
+          </div>
+        </li>`).join('');
+    }
+
+    // persist, then make sure today's instance exists for new/resumed templates
+    function commit(message){
+      instantiateTemplates(state);
+      saveState(state);
+      renderTemplates();
+      render();
+      if (message) showToast(message);
+    }
+
+    typeSelect.addEventListener('change', syncRuleFields);
+    cancelBtn.addEventListener('click', resetForm);
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const text = textInput.value.trim();
+      if (!text) return;
+      const rule = readRule();
+      if (rule.type === 'weekdays' && !rule.weekdays.length) {
+        showToast(tr('templates.pickWeekday'));
+        return;
+      }
+      if (!state.templates) state.templates = [];
+      if (editingId) {
+        const tpl = state.templates.find(t => t.id === editingId);
+        if (tpl) {
+          // a changed rule restarts the cadence from today (matters for "every N days")
+          if (JSON.stringify(tpl.rule) !== JSON.stringify(rule)) tpl.startDate = todayKey();
+          tpl.text = text;
+          tpl.rule = rule;
+          // today's instance is already on the list: an open one takes the new text right away
+          state.tasks.forEach(t => { if (t.templateId === tpl.id && t.createdAt === todayKey() && !t.completed) t.text = text; });
+        }
+        resetForm();
+        commit(tr('templates.updated'));
+        return;
+      }
+      state.templates.push({ id: generateId(), text, listId: targetListId(state), rule, startDate: todayKey(), paused: false, lastRun: null });
+      resetForm();
+      commit(tr('templates.added'));
+    });
+
+    list.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const tpl = (state.templates || []).find(t => t.id === btn.dataset.id);
+      if (!tpl) return;
+      const action = btn.dataset.action;
+      if (action === 'toggle') {
+        tpl.paused = !tpl.paused;
+        commit(tr(tpl.paused ? 'templates.pausedToast' : 'templates.resumed'));
+      } else if (action === 'edit') {
+        editingId = tpl.id;
+        textInput.value = tpl.text;
+        typeSelect.value = tpl.rule?.type || 'daily';
+        weekdaysWrap.querySelectorAll('input').forEach(i => { i.checked = (tpl.rule?.weekdays || []).includes(Number(i.value)); });
+        intervalInput.value = tpl.rule?.every || 2;
+        dayInput.value = tpl.rule?.day || 1;
+        submitBtn.textContent = tr('common.save');
+        cancelBtn.style.display = '';
+        syncRuleFields();
+        textInput.focus();
+      } else if (action === 'delete') {
+        // tasks already created from this template stay in history
+        state.templates = state.templates.filter(t => t.id !== tpl.id);
+        if (editingId === tpl.id) resetForm();
+        commit(tr('templates.deleted'));
+      }
+    });
+
+    syncRuleFields();
+    renderTemplates();
+    return renderTemplates;
+  }
+  const renderTemplates = setupTemplates() || (() => {});
+
+  // Daily quote from the library (see dailyQuote); changes at midnight with the list
+  function renderQuote(){
+    if (!quoteEl) return;
+    const quote = dailyQuote(state);
+    quoteEl.textContent = quote ? `“${quote.text}”${quote.author ? ` — ${quote.author}` : ''}` : '';
+  }
+
+  // Quote library: add / edit / delete / favorite, bulk import and the category filter
+  function setupQuotes(){
+    const form = document.getElementById('quoteForm');
+    const list = document.getElementById('quoteList');
+    if (!form || !list) return;
+    const textInput = document.getElementById('quoteText');
+    const authorInput = document.getElementById('quoteAuthor');
+    const categoryInput = document.getElementById('quoteCategoryInput');
+    const categoryList = document.getElementById('quoteCategoryList');
+    const categorySelect = document.getElementById('quoteCategory');
+    const submitBtn = document.getElementById('quoteSubmit');
+    const cancelBtn = document.getElementById('quoteCancel');
+    const importFile = document.getElementById('quoteImport');
+    let editingId = null;
+
+    function resetForm(){
+      editingId = null;
+      form.reset();
+      submitBtn.textContent = tr('common.add');
+      cancelBtn.style.display = 'none';
+    }
+
+    function renderQuotes(){
+      const quotes = state.quotes || [];
+      const categories = collectQuoteCategories(quotes);
+      const current = getSettings(state).quoteCategory;
+      if (categorySelect) {
+        categorySelect.innerHTML = `<option value="">${tr('quotes.all')}</option><option value="${QUOTE_FAVORITES}">${tr('quotes.favorites')}</option>`
+          + categories.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+        categorySelect.value = current === QUOTE_FAVORITES || categories.includes(current) ? current : '';
+      }
+      if (categoryList) categoryList.innerHTML = categories.map(c => `<option value="${escapeHtml(c)}"></option>`).join('');
+      if (!quotes.length) {
+        list.innerHTML = `<li class="muted">${tr('quotes.none')}</li>`;
+        return;
+      }
+      // favorites first, then alphabetical
+      const sorted = quotes.slice().sort((a, b) => (b.favorite ? 1 : 0) - (a.favorite ? 1 : 0) || a.text.localeCompare(b.text));
+      list.innerHTML = sorted.map(q => `
+        <li class="template-item quote-item" data-id="${q.id}">
+          <div class="template-info">
+            <span class="template-text">${escapeHtml(q.text)}</span>
+            <small class="muted">${escapeHtml([q.author, q.category].filter(Boolean).join(' • '))}</small>
+          </div>
+          <div class="template-actions">
+            <button type="button" data-action="favorite" data-id="${q.id}" class="${q.favorite ? 'favorite' : ''}" aria-pressed="${!!q.favorite}" title="${tr(q.favorite ? 'quotes.unfavorite' : 'quotes.favorite')}">${q.favorite ? '★' : '☆'}</button>
+            <button type="button" data-action="edit" data-id="${q.id}">${tr('common.edit')}</button>
+            <button type="button" data-action="delete" data-id="${q.id}" aria-label="${tr('quotes.delete')}">🗑</button>
+          </div>
+        </li>`).join('');
+    }
+
+    function commit(message){
+      saveState(state);
+      renderQuotes();
+      renderQuote();
+      if (message) showToast(message);
+    }
+
+    cancelBtn.addEventListener('click', resetForm);
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const text = textInput.value.trim();
+      if (!text) return;
+      const author = authorInput.value.trim();
+      const category = categoryInput.value.trim().toLowerCase();
+      if (editingId) {
+        const quote = (state.quotes || []).find(q => q.id === editingId);
+        if (quote) {
+          quote.text = text;
+          if (author) quote.author = author; else delete quote.author;
+          if (category) quote.category = category; else delete quote.category;
+        }
+        resetForm();
+        commit(tr('quotes.updated'));
+        return;
+      }
+      const added = addQuotes(state, [{ text, author, category }]);
+      resetForm();
+      commit(tr(added ? 'quotes.added' : 'quotes.duplicate'));
+    });
+
+    list.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const quote = (state.quotes || []).find(q => q.id === btn.dataset.id);
+      if (!quote) return;
+      const action = btn.dataset.action;
+      if (action === 'favorite') {
+        if (quote.favorite) delete quote.favorite; else quote.favorite = true;
+        commit();
+        list.querySelector(`button[data-action="favorite"][data-id="${quote.id}"]`)?.focus();
+      } else if (action === 'edit') {
+        editingId = quote.id;
+        textInput.value = quote.text;
+        authorInput.value = quote.author || '';
+        categoryInput.value = quote.category || '';
+        submitBtn.textContent = tr('common.save');
+        cancelBtn.style.display = '';
+        textInput.focus();
+      } else if (action === 'delete') {
+        state.quotes = state.quotes.filter(q => q.id !== quote.id);
+        if (editingId === quote.id) resetForm();
+        commit(tr('quotes.deleted'));
+      }
+    });
+
+    categorySelect?.addEventListener('change', () => {
+      state.settings = Object.assign(getSettings(state), { quoteCategory: categorySelect.value });
+      commit();
+    });
+
+    importFile?.addEventListener('change', () => {
+      const file = importFile.files && importFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        importFile.value = '';
+        let quotes;
+        try {
+          quotes = parseQuotes(String(reader.result));
+        } catch (err) {
+          showToast(err instanceof SyntaxError ? tr('import.notJson') : tr('import.failed', { error: err.message }), 2400);
+          return;
+        }
+        const added = addQuotes(state, quotes);
+        const skipped = quotes.length - added;
+        commit(`${tr('quotes.imported', { count: added })}${skipped ? ` ${tr('quotes.skipped', { count: skipped })}` : ''}`);
+      };
+      reader.onerror = () => { importFile.value = ''; showToast(tr('import.unreadable'), 2400); };
+      reader.readAsText(file);
+    });
+
+    renderQuotes();
+    return renderQuotes;
+  }
+  const renderQuotes = setupQuotes() || (() => {});
+
+  // Appearance: theme mode, accent color, heatmap palette and named themes
+  function setupAppearance(){
+    const modeSelect = document.getElementById('settingTheme');
+    const accentInput = document.getElementById('settingAccent');
+    const accentReset = document.getElementById('resetAccent');
+    const paletteSelect = document.getElementById('settingHeatPalette');
+    const form = document.getElementById('themeForm');
+    const nameInput = document.getElementById('themeName');
+    const list = document.getElementById('themeList');
+    const importFile = document.getElementById('themeImport');
+    if (!modeSelect || !list) return;
+
+    function renderAppearance(){
+      const settings = getSettings(state);
+      modeSelect.value = state.theme;
+      // a color input can't be empty, so the default accent shows as the stylesheet's color
+      accentInput.value = settings.accent || getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || HEAT_PALETTES.cyan;
+      accentReset.disabled = !settings.accent;
+      paletteSelect.innerHTML = Object.keys(HEAT_PALETTES).map(key => `<option value="${key}">${tr(`theme.heat.${key}`)}</option>`).join('');
+      paletteSelect.value = settings.heatPalette;
+      const themes = (state.themes || []).slice().sort((a, b) => a.name.localeCompare(b.name));
+      if (!themes.length) {
+        list.innerHTML = `<li class="muted">${tr('theme.none')}</li>`;
+        return;
+      }
+      list.innerHTML = themes.map(t => `
+        <li class="template-item theme-item" data-id="${t.id}">
+          <div class="template-info">
+            <span class="template-text">${escapeHtml(t.name)}</span>
+            <small class="muted"><span class="theme-swatch" style="--swatch:${t.accent || 'var(--accent)'}" title="${tr('theme.accent')}"></span><span class="theme-swatch" style="--swatch:${HEAT_PALETTES[t.heatPalette]}" title="${tr('theme.heatmap')}"></span> ${tr(`theme.${t.mode}`)}</small>
+          </div>
+          <div class="template-actions">
+            <button type="button" data-action="apply" data-id="${t.id}">${tr('theme.apply')}</button>
+            <button type="button" data-action="share" data-id="${t.id}" title="${tr('theme.shareHint')}">${tr('theme.share')}</button>
+            <button type="button" data-action="delete" data-id="${t.id}" aria-label="${tr('theme.delete')}">🗑</button>
+          </div>
+        </li>`).join('');
+    }
+
+    function commit(message){
+      saveState(state);
+      applyTheme(state.theme);
+      renderAppearance();
+      if (message) showToast(message);
+    }
+
+    // the current look as a theme, for saving under a name
+    function currentTheme(name){
+      const settings = getSettings(state);
+      return { name, mode: state.theme, accent: settings.accent, heatPalette: settings.heatPalette };
+    }
+
+    modeSelect.addEventListener('change', () => {
+      state.theme = modeSelect.value;
+      commit();
+    });
+    // preview while the picker is open, save once a color is chosen
+    accentInput.addEventListener('input', () => document.documentElement.style.setProperty('--accent', accentInput.value));
+    accentInput.addEventListener('change', () => {
+      state.settings = Object.assign(getSettings(state), { accent: accentInput.value.toLowerCase() });
+      commit();
+    });
+    accentReset.addEventListener('click', () => {
+      state.settings = Object.assign(getSettings(state), { accent: '' });
+      commit();
+    });
+    paletteSelect.addEventListener('change', () => {
+      state.settings = Object.assign(getSettings(state), { heatPalette: paletteSelect.value });
+      commit();
+    });
+
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const name = nameInput.value.trim();
+      if (!name) return;
+      saveNamedTheme(state, currentTheme(name));
+      form.reset();
+      commit(tr('theme.saved', { name }));
+    });
+
+    list.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const theme = (state.themes || []).find(t => t.id === btn.dataset.id);
+      if (!theme) return;
+      const action = btn.dataset.action;
+      if (action === 'apply') {
+        state.theme = theme.mode;
+        state.settings = Object.assign(getSettings(state), { accent: theme.accent, heatPalette: theme.heatPalette });
+        commit(tr('theme.applied', { name: theme.name }));
+      } else if (action === 'share') {
+        const slug = theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        downloadFile(`legacy-arc-theme-${slug}.json`, JSON.stringify(themeFile(theme), null, 2), 'application/json');
+      } else if (action === 'delete') {
+        state.themes = state.themes.filter(t => t.id !== theme.id);
+        commit(tr('theme.deleted', { name: theme.name }));
+      }
+    });
+
+    importFile?.addEventListener('change', () => {
+      const file = importFile.files && importFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        importFile.value = '';
+        let theme;
+        try {
+          theme = parseThemeFile(JSON.parse(String(reader.result)));
+        } catch (err) {
+          showToast(err instanceof SyntaxError ? tr('import.notJson') : tr('import.failed', { error: err.message }), 2400);
+          return;
         }
-      });
+        saveNamedTheme(state, theme);
+        commit(tr('theme.imported', { name: theme.name }));
+      };
+      reader.onerror = () => { importFile.value = ''; showToast(tr('import.unreadable'), 2400); };
+      reader.readAsText(file);
     });
+
+    renderAppearance();
+    return renderAppearance;
   }
-  setupAppTitleEditor();
+  const renderAppearance = setupAppearance() || (() => {});
 
-  // Apply theme from saved state
-  applyTheme(state.theme || 'light');
-
-  // Save Day button: mark all today's tasks as completed and show celebration
-  const saveDayBtn = document.getElementById('saveDayBtn');
-  const celebrationModal = document.getElementById('celebrationModal');
-  const celebrationClose = document.getElementById('celebrationClose');
-
-  if (saveDayBtn) {
-    saveDayBtn.addEventListener('click', () => {
-      const todaysTasks = state.tasks.filter(t => t.createdAt === todayKey());
-      todaysTasks.forEach(t => {
-        if (t.completed) {
-          // Only set completedAt when Save Day button is clicked
-          t.completedAt = todayKey();
+  // swap in a whole new state (after an import) and refresh everything that reads it
+  function replaceState(next){
+    applyExternalState(next);
+    saveState(state);
+  }
+
+  // adopt a state that is already persisted (e.g. merged from another tab) and refresh the UI
+  function applyExternalState(next){
+    Object.keys(state).forEach(k => delete state[k]);
+    Object.assign(state, next);
+    refreshUi();
+  }
+
+  // re-sync every widget that mirrors `state`
+  function refreshUi(){
+    // the list bar also refreshes the list title (unless the user is typing in it)
+    const titleEl = document.getElementById('appTitle');
+    if (titleEl) titleEl.textContent = state.appTitle || 'Legacy Arc';
+    if (carryOverToggle) carryOverToggle.checked = getSettings(state).carryOver;
+    if (taskSortSelect) taskSortSelect.value = getSettings(state).taskSort;
+    if (eveningInput) eveningInput.value = getSettings(state).eveningReminder;
+    syncFocusInputs();
+    syncLocaleInputs();
+    renderNotifyStatus();
+    renderSyncStatus();
+    updateDateTime();
+    applyTheme(state.theme);
+    renderAppearance();
+    renderTemplates();
+    renderQuotes();
+    renderQuote();
+    render();
+    renderFocusBar();
+  }
+
+  // Backup: export JSON/CSV and import with a preview (replace or merge)
+  function setupBackup(){
+    const exportJsonBtn = document.getElementById('exportJson');
+    const exportCsvBtn = document.getElementById('exportCsv');
+    const exportIcsBtn = document.getElementById('exportIcs');
+    const icsDays = document.getElementById('icsDays');
+    const importFile = document.getElementById('importFile');
+    const preview = document.getElementById('importPreview');
+    if (!importFile || !preview) return;
+    let pending = null;
+
+    exportJsonBtn?.addEventListener('click', () => {
+      downloadFile(`legacy-arc-backup-${todayKey()}.json`, JSON.stringify(buildBackup(state), null, 2), 'application/json');
+    });
+    exportCsvBtn?.addEventListener('click', () => {
+      downloadFile(`legacy-arc-tasks-${todayKey()}.csv`, buildTasksCsv(state), 'text/csv');
+    });
+    exportIcsBtn?.addEventListener('click', () => {
+      downloadFile(`legacy-arc-tasks-${todayKey()}.ics`, buildIcs(state, { completedDays: !!(icsDays && icsDays.checked) }), 'text/calendar');
+    });
+
+    function closePreview(){
+      pending = null;
+      preview.innerHTML = '';
+      preview.style.display = 'none';
+      importFile.value = '';
+    }
+
+    importFile.addEventListener('change', () => {
+      const file = importFile.files && importFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        // calendar files add tasks instead of restoring a backup
+        if (/\.ics$/i.test(file.name) || /^\s*BEGIN:VCALENDAR/i.test(reader.result)) {
+          showIcsPreview(file.name, reader.result);
+          return;
+        }
+        try {
+          pending = parseBackup(JSON.parse(reader.result));
+        } catch (err) {
+          closePreview();
+          showToast(err instanceof SyntaxError ? tr('import.notJson') : tr('import.failed', { error: err.message }), 2400);
+          return;
         }
+        const diff = diffBackup(state, pending.state);
+        const sample = (tasks) => tasks.slice(0, 5).map(t => `<li>${escapeHtml(t.text)} <small class="muted">${t.createdAt}</small></li>`).join('');
+        preview.innerHTML = `
+          <strong>${tr('backup.importFile', { name: escapeHtml(file.name) })}</strong>
+          <ul class="import-summary">
+            <li>${tr('backup.newTasks', { count: diff.added.length })}</li>
+            <li>${tr('backup.changed', { count: diff.changed.length })}</li>
+            <li>${tr('backup.unchanged', { count: diff.unchanged })}</li>
+            <li>${tr('backup.localOnly', { count: diff.localOnly.length })}</li>
+            ${pending.skipped ? `<li>${tr('backup.malformed', { count: pending.skipped })}</li>` : ''}
+          </ul>
+          ${diff.added.length ? `<small class="muted">${tr('backup.new')}</small><ul class="import-sample">${sample(diff.added)}</ul>` : ''}
+          ${diff.changed.length ? `<small class="muted">${tr('backup.changedLabel')}</small><ul class="import-sample">${sample(diff.changed)}</ul>` : ''}
+          <div class="template-buttons">
+            <button type="button" data-import="merge">${tr('backup.merge')}</button>
+            <button type="button" data-import="replace">${tr('backup.replace')}</button>
+            <button type="button" data-import="cancel">${tr('common.cancel')}</button>
+          </div>`;
+        preview.style.display = '';
+      };
+      reader.onerror = () => { closePreview(); showToast(tr('import.unreadable'), 2400); };
+      reader.readAsText(file);
+    });
+
+    // .ics import: new tasks on their own dates, in the list being viewed; undoable
+    function showIcsPreview(name, text){
+      try {
+        pending = Object.assign(parseIcs(text, state), { ics: true });
+      } catch (err) {
+        closePreview();
+        showToast(tr('import.failed', { error: err.message }), 2400);
+        return;
+      }
+      const past = pending.tasks.filter(t => t.createdAt < todayKey() && !t.completed).length;
+      const sample = pending.tasks.slice(0, 5).map(t => `<li>${escapeHtml(t.text)} <small class="muted">${t.createdAt}${t.dueTime ? ` ${t.dueTime}` : ''}</small></li>`).join('');
+      preview.innerHTML = `
+        <strong>${tr('backup.importFile', { name: escapeHtml(name) })}</strong>
+        <ul class="import-summary">
+          <li>${tr('backup.newTasks', { count: pending.tasks.length })}</li>
+          ${pending.duplicates ? `<li>${tr('ics.duplicates', { count: pending.duplicates })}</li>` : ''}
+          ${past ? `<li>${tr('ics.pastOpen', { count: past })}</li>` : ''}
+          ${pending.skipped ? `<li>${tr('ics.unusable', { count: pending.skipped })}</li>` : ''}
+        </ul>
+        ${sample ? `<ul class="import-sample">${sample}</ul>` : ''}
+        <div class="template-buttons">
+          ${pending.tasks.length ? `<button type="button" data-import="ics">${tr('ics.addAll')}</button>` : ''}
+          ${past && past < pending.tasks.length ? `<button type="button" data-import="ics-upcoming">${tr('ics.addUpcoming')}</button>` : ''}
+          <button type="button" data-import="cancel">${tr('common.cancel')}</button>
+        </div>`;
+      preview.style.display = '';
+    }
+
+    function addIcsTasks(tasks){
+      const action = beginAction(state);
+      const listId = targetListId(state);
+      tasks.forEach(t => {
+        t.listId = listId;
+        state.tasks.push(t);
+        action.ids.push(t.id);
+        action.before.tasks[t.id] = null;
       });
       saveState(state);
+      commitAction(action, state, 'undo.importTasks');
       render();
-      // Show celebration modal
-      if (celebrationModal) {
-        celebrationModal.setAttribute('aria-hidden', 'false');
-        celebrationModal.classList.add('display');
+      showUndoToast(tr('ics.imported', { count: tasks.length }));
+    }
+
+    preview.addEventListener('click', e => {
+      const mode = e.target.dataset && e.target.dataset.import;
+      if (!mode) return;
+      if (mode === 'cancel' || !pending) { closePreview(); return; }
+      if (pending.ics) {
+        // "only today and later" leaves out open items from past days (they would all become leftovers)
+        const tasks = mode === 'ics-upcoming' ? pending.tasks.filter(t => t.createdAt >= todayKey() || t.completed) : pending.tasks;
+        closePreview();
+        addIcsTasks(tasks);
+        return;
       }
+      const next = mode === 'replace' ? restoreBackup(state, pending.state) : mergeBackup(state, pending.state);
+      closePreview();
+      replaceState(next);
+      showToast(tr(mode === 'replace' ? 'backup.restored' : 'backup.merged'));
     });
   }
+  setupBackup();
 
-  if (celebrationClose) {
-    celebrationClose.addEventListener('click', () => {
-      if (celebrationModal) {
-        celebrationModal.classList.remove('display');
-        celebrationModal.setAttribute('aria-hidden', 'true');
-      }
-    });
+  // live updates from other tabs (home list, progress bar, templates, titles)
+  onExternalStateChange(applyExternalState);
+
+  // Undo / redo (toast button and keyboard)
+  function stepAndRefresh(direction){
+    const entry = stepHistory(state, direction);
+    if (!entry) { showToast(tr(direction === 'undo' ? 'undo.nothingToUndo' : 'undo.nothingToRedo')); return; }
+    saveState(state);
+    refreshUi();
+    showToast(tr(direction === 'undo' ? 'undo.undone' : 'undo.redone', { action: tr(entry.label) }));
+  }
+  function showUndoToast(message){
+    showToast(message, 5000, { label: tr('undo.button'), onClick: () => stepAndRefresh('undo') });
+  }
+  bindUndoKeys(stepAndRefresh);
+
+  // Apply theme from saved state
+  applyTheme(state.theme);
+
+  // Close the day: a reflection note and mood for today, stored in state.journal.
+  // Completions are already recorded as tasks are checked, so this works at any progress;
+  // the dialog celebrates when every task of the day is done.
+  const closeDayModal = document.getElementById('closeDayModal');
+  const closeDayForm = document.getElementById('closeDayForm');
+  const closeDayNote = document.getElementById('closeDayNote');
+  let releaseCloseDay = null;
+  function openCloseDay(){
+    if (!closeDayModal) return;
+    const today = state.tasks.filter(t => t.createdAt === todayKey());
+    const done = today.filter(t => t.completed).length;
+    const allDone = today.length > 0 && done === today.length;
+    document.getElementById('closeDayEmoji').textContent = allDone ? '🎉' : '🌙';
+    document.getElementById('closeDayTitle').textContent = tr(allDone ? 'celebrate.title' : 'closeDay.title');
+    document.getElementById('closeDaySummary').textContent = allDone ? tr('celebrate.body')
+      : (today.length ? tr('closeDay.summary', { done, count: today.length }) : tr('closeDay.noTasks'));
+    const entry = journalEntry(state, todayKey());
+    closeDayNote.value = entry ? entry.note : '';
+    closeDayForm.querySelectorAll('input[name="mood"]').forEach(r => { r.checked = !!entry && Number(r.value) === entry.mood; });
+    closeDayModal.setAttribute('aria-hidden', 'false');
+    closeDayModal.classList.add('display');
+    releaseCloseDay = trapFocus(closeDayModal, closeDayNote);
   }
+  function closeCloseDay(){
+    if (!closeDayModal || !closeDayModal.classList.contains('display')) return;
+    closeDayModal.classList.remove('display');
+    closeDayModal.setAttribute('aria-hidden', 'true');
+    if (releaseCloseDay) releaseCloseDay(true);
+    releaseCloseDay = null;
+  }
+
+  closeDayBtn?.addEventListener('click', openCloseDay);
+  closeDayForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const mood = Number(new FormData(closeDayForm).get('mood')) || null;
+    const action = beginAction(state, [], ['journal']);
+    setJournalEntry(state, todayKey(), closeDayNote.value, mood);
+    saveState(state);
+    commitAction(action, state, 'undo.closeDay');
+    closeCloseDay();
+    render();
+    checkReminders();
+    showUndoToast(tr('closeDay.saved'));
+  });
+  document.getElementById('closeDayCancel')?.addEventListener('click', closeCloseDay);
 
-  // Close celebration on Esc key
+  // Close the dialog on Esc key
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && celebrationModal && celebrationModal.classList.contains('display')) {
-      celebrationModal.classList.remove('display');
-      celebrationModal.setAttribute('aria-hidden', 'true');
-    }
+    if (e.key === 'Escape') closeCloseDay();
   });
   
-  // Daily quote selection: pick a quote based on the local date so it changes each day
-  try {
-    if (quoteEl) {
-      const quotes = [
-        '“Small steps every day add up to big wins.”',
-        '“Progress, not perfection.”',
-        '“Consistency is the key to success.”',
-        '“Do something today that your future self will thank you for.”',
-        '“Start where you are. Use what you have. Do what you can.”'
-      ];
-      function getDailyQuote(){
-        const d = new Date();
-        const key = `${d.getFullYear()}${String(d.getMonth()+1).padStart(2,'0')}${String(d.getDate()).padStart(2,'0')}`;
-        // simple deterministic index from date string
-        let sum = 0; for (let i=0;i<key.length;i++) sum += key.charCodeAt(i);
-        return quotes[sum % quotes.length];
-      }
-      quoteEl.textContent = getDailyQuote();
-    }
-  } catch (e) { /* ignore errors */ }
-
   // initial render
   render();
+  renderQuote();
+  startFocusBar();
 
   // start midnight refresh to clear today's tasks automatically
   scheduleMidnightRefresh();
 }
 
+/* -------- Day summaries (shared by the calendar grid, tooltips and overlay) -------- */
+// the days a task shows up on: its scheduled day, its completion day and any day it slipped from
+function taskDays(task){
+  const days = new Set(task.rolledOver || []);
+  if (task.createdAt) days.add(task.createdAt);
+  if (task.completedAt) days.add(task.completedAt);
+  return days;
+}
+
+function tasksForDate(tasks, dateKey){
+  return (tasks || []).filter(t => taskDays(t).has(dateKey));
+}
+
+// dateKey -> tasks, built once per render instead of filtering for every day cell
+function indexTasksByDay(tasks){
+  const index = new Map();
+  (tasks || []).forEach(t => taskDays(t).forEach(k => {
+    if (!index.has(k)) index.set(k, []);
+    index.get(k).push(t);
+  }));
+  return index;
+}
+
+// completed vs. total for one day; tasks that merely slipped away from it don't count.
+// `planned` counts open tasks scheduled for a day that hasn't come yet.
+function summarizeDay(dayTasks, dateKey){
+  const own = (dayTasks || []).filter(t => t.createdAt === dateKey || t.completedAt === dateKey);
+  const completed = own.filter(t => t.completedAt === dateKey).length;
+  const planned = dateKey > todayKey() ? own.filter(t => !t.completed && !t.droppedAt).length : 0;
+  return { completed, total: own.length, ratio: own.length ? completed / own.length : 0, planned };
+}
+
+// heatmap level 0-4: by completion ratio, or by completed count or focus minutes
+// relative to the busiest day shown (`max` is in the metric's unit)
+function heatLevel(summary, metric, max){
+  const value = metric === 'focus' ? summary.focus : summary.completed;
+  if (!value) return 0;
+  const share = metric === 'ratio' ? summary.ratio : value / Math.max(1, max);
+  return Math.min(4, Math.max(1, Math.ceil(share * 4)));
+}
+
+function describeDay(summary){
+  if (!summary.total) return tr('day.noTasks');
+  if (summary.planned && !summary.completed) return tr('day.planned', { count: summary.planned });
+  return tr('day.completed', { done: summary.completed, count: summary.total });
+}
+
+/* -------- Streaks (shared) --------
+   A day is consistent when it meets the minimum (isConsistentDay). Rest weekdays
+   neither break nor extend a streak, and freeze tokens, earned by consistent days,
+   cover missed days automatically. Streaks run over the whole history, so they
+   carry across year boundaries. */
+const DEFAULT_STREAK_RULES = { restDays: [], minType: 'count', minValue: 1, freezesPerMonth: 0 };
+// consecutive consistent days needed to earn one freeze token
+const FREEZE_EARN_DAYS = 7;
+// tooltip notes (STRINGS keys) for day statuses that aren't obvious from the shading
+const STREAK_NOTES = { rest: 'streak.restNote', frozen: 'streak.frozenNote' };
+
+// streak rules from settings, with defaults and sane bounds
+function getStreakRules(state){
+  const rules = Object.assign({}, DEFAULT_STREAK_RULES, getSettings(state).streak || {});
+  rules.restDays = (Array.isArray(rules.restDays) ? rules.restDays : []).map(Number).filter(d => d >= 0 && d <= 6);
+  if (rules.minType !== 'percent') rules.minType = 'count';
+  const maxValue = rules.minType === 'percent' ? 100 : 99;
+  rules.minValue = Math.min(maxValue, Math.max(1, parseInt(rules.minValue, 10) || 1));
+  rules.freezesPerMonth = Math.min(10, Math.max(0, parseInt(rules.freezesPerMonth, 10) || 0));
+  return rules;
+}
+
+// the single definition of a consistent day, used by the calendar, its stats and the stats page
+function isConsistentDay(summary, rules = DEFAULT_STREAK_RULES){
+  if (!summary || !summary.completed) return false;
+  return rules.minType === 'percent'
+    ? summary.ratio * 100 >= rules.minValue
+    : summary.completed >= rules.minValue;
+}
+
+// Walk every day from the first one with tasks up to today and classify it:
+// 'done' (consistent), 'rest', 'frozen' (missed, covered by a freeze) or 'missed'.
+// Today is never 'missed' while it is still going on. Frozen and rest days keep a
+// streak alive without adding to it. At most `freezesPerMonth` tokens are earned per
+// calendar month, and no more than that many can be banked.
+function evaluateStreaks(dayIndex, rules = DEFAULT_STREAK_RULES, today = todayKey()){
+  const status = new Map();
+  const days = [...dayIndex.keys()].filter(k => k <= today).sort();
+  let current = 0;
+  let longest = 0;
+  let freezes = 0;
+  let earnedThisMonth = 0;
+  let sinceEarned = 0;
+  let month = null;
+  for (let k = days[0]; k && k <= today; k = addDaysToKey(k, 1)) {
+    if (k.slice(0, 7) !== month) { month = k.slice(0, 7); earnedThisMonth = 0; }
+    if (isConsistentDay(summarizeDay(dayIndex.get(k), k), rules)) {
+      status.set(k, 'done');
+      current++;
+      longest = Math.max(longest, current);
+      if (rules.freezesPerMonth && ++sinceEarned >= FREEZE_EARN_DAYS) {
+        sinceEarned = 0;
+        if (earnedThisMonth < rules.freezesPerMonth) {
+          earnedThisMonth++;
+          freezes = Math.min(rules.freezesPerMonth, freezes + 1);
+        }
+      }
+    } else if (rules.restDays.includes(parseDateKey(k).getDay())) {
+      status.set(k, 'rest');
+    } else if (k === today) {
+      // still time left today
+    } else if (freezes > 0) {
+      freezes--;
+      status.set(k, 'frozen');
+    } else {
+      status.set(k, 'missed');
+      current = 0;
+      sinceEarned = 0;
+    }
+  }
+  return { status, current, longest, freezes };
+}
+
+/* -------- Statistics (shared) -------- */
+// first day of the week containing dateKey; `weekStart` is a getDay() number (0 = Sunday),
+// the same setting the calendar grid uses
+function weekStartKey(dateKey, weekStart = 0){
+  return addDaysToKey(dateKey, -((parseDateKey(dateKey).getDay() - weekStart + 7) % 7));
+}
+
+// Created vs. completed per bucket. A task counts toward the bucket of the day it was
+// scheduled for; `rate` is null for buckets without tasks so charts can leave a gap.
+function completionBuckets(tasks, bucketOf, keys){
+  const buckets = new Map(keys.map(k => [k, { key: k, created: 0, completed: 0 }]));
+  (tasks || []).forEach(t => {
+    const bucket = buckets.get(bucketOf(t.createdAt));
+    if (!bucket) return;
+    bucket.created++;
+    if (t.completed) bucket.completed++;
+  });
+  return [...buckets.values()].map(b => Object.assign(b, { rate: b.created ? b.completed / b.created : null }));
+}
+
+// least-squares line through the values that aren't null (x = index); null with fewer than two points
+function linearTrend(values){
+  const points = values.map((y, x) => ({ x, y })).filter(p => p.y !== null);
+  if (points.length < 2) return null;
+  const n = points.length;
+  const meanX = points.reduce((a, p) => a + p.x, 0) / n;
+  const meanY = points.reduce((a, p) => a + p.y, 0) / n;
+  const sxx = points.reduce((a, p) => a + (p.x - meanX) ** 2, 0);
+  const slope = sxx ? points.reduce((a, p) => a + (p.x - meanX) * (p.y - meanY), 0) / sxx : 0;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+// Tasks that keep getting skipped, grouped by text: every day a task slipped from,
+// plus one more if it was dropped or its day passed without it being done.
+function mostSkipped(tasks, today = todayKey(), limit = 10){
+  const groups = new Map();
+  (tasks || []).forEach(t => {
+    const missed = (t.rolledOver || []).length + ((t.droppedAt || (!t.completed && t.createdAt < today)) ? 1 : 0);
+    if (!missed) return;
+    const key = t.text.trim().toLowerCase();
+    const group = groups.get(key) || { text: t.text.trim(), skipped: 0, tasks: 0 };
+    group.skipped += missed;
+    group.tasks++;
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.skipped - a.skipped || a.text.localeCompare(b.text)).slice(0, limit);
+}
+
 /* -------- Calendar page logic -------- */
+// year shown on calendar.html; deep-linkable as ?year=2025
+let calendarYear = null;
+// list filter on calendar.html ('all' or a list id); deep-linkable as ?list=<id>
+let calendarListId = null;
+// the one day in the year grid that Tab reaches (roving tabindex); arrow keys move it
+let calendarFocusDate = null;
+
+function yearFromUrl(){
+  const param = new URLSearchParams(window.location.search).get('year');
+  const year = parseInt(param, 10);
+  return (year >= 1970 && year <= 9999) ? year : null;
+}
+
+// day whose overlay opens on load, e.g. calendar.html?date=2025-03-14 (linked from the archive)
+function dateFromUrl(){
+  const param = new URLSearchParams(window.location.search).get('date');
+  return param && DATE_KEY_RE.test(param) && formatLocalDate(parseDateKey(param)) === param ? param : null;
+}
+
+// Where a key moves the year grid's focus from dateKey, as in a date picker: arrows by day
+// and week, Home/End to the ends of the week row (within the month), Ctrl+Home/End to the
+// ends of the year, PageUp/PageDown by month (with Shift by year), keeping the day of
+// the month where it exists. Null for other keys.
+function gridKeyTarget(dateKey, e, weekStart = 0){
+  const date = parseDateKey(dateKey);
+  const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key];
+  if (step) return addDaysToKey(dateKey, step);
+  if ((e.key === 'Home' || e.key === 'End') && e.ctrlKey) return `${date.getFullYear()}-${e.key === 'Home' ? '01-01' : '12-31'}`;
+  if (e.key === 'Home' || e.key === 'End') {
+    const target = e.key === 'Home' ? weekStartKey(dateKey, weekStart) : addDaysToKey(weekStartKey(dateKey, weekStart), 6);
+    if (target.slice(0, 7) === dateKey.slice(0, 7)) return target;
+    return e.key === 'Home' ? `${dateKey.slice(0, 7)}-01` : formatLocalDate(new Date(date.getFullYear(), date.getMonth() + 1, 0));
+  }
+  if (e.key === 'PageUp' || e.key === 'PageDown') {
+    const months = (e.key === 'PageUp' ? -1 : 1) * (e.shiftKey ? 12 : 1);
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return formatLocalDate(target);
+  }
+  return null;
+}
+
+// reflect the saved streak rules in the calendar's "Streak rules" form
+function renderStreakRules(rules, weekStart = 0){
+  const form = document.getElementById('streakForm');
+  if (!form) return;
+  renderWeekdayChoices(form.querySelector('.template-weekdays'), weekStart);
+  form.querySelectorAll('input[name="restDay"]').forEach(cb => { cb.checked = rules.restDays.includes(Number(cb.value)); });
+  form.elements.minType.value = rules.minType;
+  form.elements.minValue.max = rules.minType === 'percent' ? 100 : 99;
+  form.elements.minValue.value = rules.minValue;
+  form.elements.freezesPerMonth.value = rules.freezesPerMonth;
+}
+
 function initCalendar(){
   const state = loadState();
   const yearGrid = document.getElementById('yearGrid');
   const daysConsistentEl = document.getElementById('daysConsistent');
+  const daysAllTimeEl = document.getElementById('daysAllTime');
   const currentStreakEl = document.getElementById('currentStreak');
   const longestStreakEl = document.getElementById('longestStreak');
+  const yearPicker = document.getElementById('yearPicker');
 
-  // Build a set of dates (YYYY-MM-DD) where at least one completed task exists
-  const doneDates = new Set(state.tasks.filter(t => t.completedAt).map(t => t.completedAt));
-
-  // Stats calculations
-  const daysConsistent = doneDates.size;
-  daysConsistentEl.textContent = daysConsistent;
+  if (calendarYear === null) calendarYear = yearFromUrl() || Number((dateFromUrl() || '').slice(0, 4)) || new Date().getFullYear();
+  const year = calendarYear;
+  if (calendarListId === null) calendarListId = new URLSearchParams(window.location.search).get('list') || ALL_LISTS;
+  if (calendarListId !== ALL_LISTS && !findList(state, calendarListId)) calendarListId = ALL_LISTS;
 
-  // compute streaks for the current year
-  const year = new Date().getFullYear();
-  // helper to check if a date exists in doneDates
-  function isDone(dateObj){
-    const k = formatLocalDate(dateObj);
-    return doneDates.has(k);
+  // every stat below is for the selected list only
+  const listFilter = document.getElementById('listFilter');
+  if (listFilter) {
+    listFilter.innerHTML = `<option value="${ALL_LISTS}">${tr('lists.allLists')}</option>`
+      + (state.lists || []).map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`).join('');
+    listFilter.value = calendarListId;
   }
+  const tasks = state.tasks.filter(t => inList(t, calendarListId));
+
+  // Classify every day by the streak rules (consistent, rest, frozen, missed)
+  const rules = getStreakRules(state);
+  const dayIndex = indexTasksByDay(tasks);
+  const streaks = evaluateStreaks(dayIndex, rules);
+  const consistentDays = [...streaks.status.keys()].filter(k => streaks.status.get(k) === 'done');
+
+  // Stats calculations: days consistent in the shown year and over all history
+  const yearPrefix = `${year}-`;
+  daysConsistentEl.textContent = consistentDays.filter(k => k.startsWith(yearPrefix)).length;
+  if (daysAllTimeEl) daysAllTimeEl.textContent = consistentDays.length;
 
-  // current streak (including today if done)
-  let streak = 0;
-  let d = new Date(); // today
-  while(isDone(d)){
-    streak++; d.setDate(d.getDate() - 1);
+  // streaks are computed across all history, independent of the year being viewed
+  currentStreakEl.textContent = streaks.current;
+  longestStreakEl.textContent = streaks.longest;
+  const freezesEl = document.getElementById('freezesLeft');
+  if (freezesEl) {
+    freezesEl.textContent = streaks.freezes;
+    freezesEl.parentElement.style.display = rules.freezesPerMonth ? '' : 'none';
   }
-  currentStreakEl.textContent = streak;
+  renderStreakRules(rules, getSettings(state).weekStart);
 
-  // longest streak in year: iterate days and count sequences
-  let longest = 0;
-  let temp = 0;
-  const start = new Date(year,0,1);
-  const end = new Date(year,11,31);
-  for (let dt = new Date(start); dt <= end; dt.setDate(dt.getDate() + 1)){
-    if (isDone(dt)) { temp++; if (temp > longest) longest = temp; }
-    else { temp = 0; }
+  // Year picker: every year with data, plus the current year and the one being viewed
+  if (yearPicker) {
+    const years = new Set([new Date().getFullYear(), year]);
+    tasks.forEach(t => {
+      [t.createdAt, t.completedAt].forEach(k => { if (k) years.add(Number(k.slice(0, 4))); });
+    });
+    const sorted = [...years].sort((a, b) => a - b);
+    yearPicker.innerHTML = sorted.map(y => `<option value="${y}" ${y === year ? 'selected' : ''}>${y}</option>`).join('');
   }
-  longestStreakEl.textContent = longest;
+  const yearLabel = document.getElementById('daysYearLabel');
+  if (yearLabel) yearLabel.textContent = tr('calendar.daysIn', { year });
+
+  // Heatmap data for the shown year
+  const metric = getSettings(state).heatmapMetric;
+  const summaries = new Map();
+  let maxCompleted = 0;
+  dayIndex.forEach((tasks, key) => {
+    if (!key.startsWith(yearPrefix)) return;
+    const summary = summarizeDay(tasks, key);
+    summaries.set(key, summary);
+    if (summary.completed > maxCompleted) maxCompleted = summary.completed;
+  });
+  // focus minutes count on the day they were logged, whichever day the task belongs to
+  const focusByDay = focusMinutesByDay(tasks);
+  let maxFocus = 0;
+  focusByDay.forEach((minutes, key) => { if (key.startsWith(yearPrefix)) maxFocus = Math.max(maxFocus, minutes); });
+  const metricSelect = document.getElementById('heatmapMetric');
+  if (metricSelect) metricSelect.value = metric;
 
-  // Render months (3 columns x 4 rows)
-  const monthNames = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+  // Render months (3 columns x 4 rows); month and weekday names come from Intl
+  const weekStart = getSettings(state).weekStart;
+  const weekdayHeader = weekdayOrder(weekStart)
+    .map(d => `<div class="weekday-label" role="columnheader" aria-label="${escapeHtml(weekdayName(d, 'long'))}" title="${escapeHtml(weekdayName(d, 'long'))}">${escapeHtml(weekdayName(d, 'narrow'))}</div>`).join('');
+  // ARIA grid: each month is a row group of week rows; a single day is in the Tab order
+  if (!calendarFocusDate || !calendarFocusDate.startsWith(yearPrefix)) {
+    calendarFocusDate = todayKey().startsWith(yearPrefix) ? todayKey() : `${year}-01-01`;
+  }
+  const hadFocus = yearGrid.contains(document.activeElement);
+  yearGrid.setAttribute('aria-label', tr('calendar.gridLabel', { year }));
   yearGrid.innerHTML = '';
 
   for (let m = 0; m < 12; m++){
     const monthEl = document.createElement('div');
     monthEl.className = 'month';
-    monthEl.innerHTML = `<h4>${monthNames[m]}</h4><div class="month-grid"></div>`;
+    monthEl.setAttribute('role', 'rowgroup');
+    monthEl.setAttribute('aria-label', monthName(m, 'long'));
+    monthEl.innerHTML = `<h4 aria-hidden="true">${escapeHtml(monthName(m, 'long'))}</h4><div class="month-grid"><div class="week-row" role="row">${weekdayHeader}</div></div>`;
     const grid = monthEl.querySelector('.month-grid');
+    // cells go into week rows of seven
+    let row = null;
+    const addCell = (cell) => {
+      if (!row || row.children.length === 7) {
+        row = document.createElement('div');
+        row.className = 'week-row';
+        row.setAttribute('role', 'row');
+        grid.appendChild(row);
+      }
+      row.appendChild(cell);
+    };
 
     // day labels (we'll show 1..n with blank placeholders at start to align weekdays)
     const first = new Date(year, m, 1);
-    const startDay = first.getDay(); // 0=Sunday .. 6=Saturday
+    const startDay = (first.getDay() - weekStart + 7) % 7; // columns before the 1st
     const daysInMonth = new Date(year, m+1, 0).getDate();
 
     // Add blank placeholders for alignment
@@ -463,7 +4091,8 @@ function initCalendar(){
       const blank = document.createElement('div');
       blank.className = 'day';
       blank.textContent = '';
-      grid.appendChild(blank);
+      blank.setAttribute('role', 'gridcell');
+      addCell(blank);
     }
 
     // Add day squares
@@ -472,36 +4101,137 @@ function initCalendar(){
       const dayEl = document.createElement('div');
       dayEl.className = 'day';
       const key = formatLocalDate(dateObj);
-      if (doneDates.has(key)) {
-        dayEl.classList.add('done');
-      }
+      const summary = Object.assign({ completed: 0, total: 0, ratio: 0, planned: 0 }, summaries.get(key), { focus: focusByDay.get(key) || 0 });
+      // streak status: consistent days, rest days and freezes; completions below the minimum are flagged
+      const dayStatus = streaks.status.get(key);
+      const belowMin = summary.completed > 0 && dayStatus !== 'done';
+      if (dayStatus === 'done' || dayStatus === 'rest' || dayStatus === 'frozen') dayEl.classList.add(dayStatus);
+      if (belowMin) dayEl.classList.add('below-min');
+      // upcoming days with open tasks are outlined rather than shaded
+      if (summary.planned) dayEl.classList.add('planned');
+      const level = heatLevel(summary, metric, metric === 'focus' ? maxFocus : maxCompleted);
+      if (level) dayEl.classList.add(`level-${level}`);
+      dayEl.dataset.summary = [describeDay(summary), summary.focus && tr('calendar.focusMinutes', { minutes: summary.focus }), STREAK_NOTES[dayStatus] && tr(STREAK_NOTES[dayStatus]), belowMin && tr('calendar.belowMin')].filter(Boolean).join(' • ');
+      dayEl.setAttribute('aria-label', `${formatDate(dateObj, { month:'long', day:'numeric' })}: ${dayEl.dataset.summary}`);
       // highlight today's date
-      if (key === todayKey()) dayEl.classList.add('today');
+      if (key === todayKey()) {
+        dayEl.classList.add('today');
+        dayEl.setAttribute('aria-current', 'date');
+      }
       dayEl.textContent = d;
-      // make each day keyboard-focusable & accessible and store full date key
+      // store full date key; only the focus day is tabbable, the arrow keys reach the rest
       dayEl.dataset.date = key;
-      dayEl.setAttribute('role', 'button');
-      dayEl.tabIndex = 0;
-      grid.appendChild(dayEl);
+      dayEl.setAttribute('role', 'gridcell');
+      dayEl.tabIndex = key === calendarFocusDate ? 0 : -1;
+      addCell(dayEl);
     }
 
     yearGrid.appendChild(monthEl);
   }
+  // a re-render (e.g. after a year change from the keyboard) keeps focus in the grid
+  if (hadFocus) yearGrid.querySelector(`.day[data-date="${calendarFocusDate}"]`)?.focus();
 
   // Make days interactive: open inline panel below clicked day on all devices
   if (!calendarListenersInitialized) {
+    // Year navigation: prev/next buttons and picker, mirrored into the ?year= URL parameter
+    function showYear(next){
+      if (!next || next === calendarYear) return;
+      calendarYear = next;
+      const url = new URL(window.location.href);
+      url.searchParams.set('year', next);
+      history.replaceState(null, '', url);
+      closeInlinePanel();
+      initCalendar();
+    }
+    // List filter: streaks and the grid for one project at a time
+    document.getElementById('listFilter')?.addEventListener('change', (e) => {
+      calendarListId = e.target.value;
+      const url = new URL(window.location.href);
+      if (calendarListId === ALL_LISTS) url.searchParams.delete('list');
+      else url.searchParams.set('list', calendarListId);
+      history.replaceState(null, '', url);
+      closeInlinePanel();
+      initCalendar();
+    });
+    document.getElementById('prevYear')?.addEventListener('click', () => showYear(calendarYear - 1));
+    document.getElementById('nextYear')?.addEventListener('click', () => showYear(calendarYear + 1));
+    document.getElementById('yearPicker')?.addEventListener('change', (e) => showYear(parseInt(e.target.value, 10)));
+
+    // Heatmap metric setting (completed count vs. completion ratio)
+    document.getElementById('heatmapMetric')?.addEventListener('change', (e) => {
+      const state = loadState();
+      state.settings = Object.assign(getSettings(state), { heatmapMetric: e.target.value });
+      saveState(state);
+      initCalendar();
+    });
+
+    // Streak rules (rest days, daily minimum, freezes), saved as settings.streak
+    const streakForm = document.getElementById('streakForm');
+    streakForm?.addEventListener('submit', (e) => e.preventDefault());
+    streakForm?.addEventListener('change', () => {
+      const state = loadState();
+      const streak = {
+        restDays: [...streakForm.querySelectorAll('input[name="restDay"]:checked')].map(cb => Number(cb.value)),
+        minType: streakForm.elements.minType.value,
+        minValue: streakForm.elements.minValue.value,
+        freezesPerMonth: streakForm.elements.freezesPerMonth.value
+      };
+      state.settings = Object.assign(getSettings(state), { streak: getStreakRules({ settings: { streak } }) });
+      saveState(state);
+      initCalendar();
+    });
+
+    // Day tooltip on hover and keyboard focus, from the same summary as the overlay
+    const tooltip = document.createElement('div');
+    tooltip.className = 'day-tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    document.body.appendChild(tooltip);
+    function showDayTooltip(day){
+      if (!day || !day.dataset.date) return;
+      const label = formatDate(day.dataset.date, { weekday:'short', month:'short', day:'numeric' });
+      tooltip.textContent = `${label} — ${day.dataset.summary}`;
+      tooltip.classList.add('visible');
+      const rect = day.getBoundingClientRect();
+      const tipRect = tooltip.getBoundingClientRect();
+      const left = Math.min(window.innerWidth - tipRect.width - 8, Math.max(8, rect.left + rect.width / 2 - tipRect.width / 2));
+      tooltip.style.left = `${left + window.scrollX}px`;
+      tooltip.style.top = `${rect.top + window.scrollY - tipRect.height - 8}px`;
+    }
+    function hideDayTooltip(){ tooltip.classList.remove('visible'); }
+    yearGrid.addEventListener('mouseover', (e) => showDayTooltip(e.target.closest('.day[data-date]')));
+    yearGrid.addEventListener('focusin', (e) => showDayTooltip(e.target.closest('.day[data-date]')));
+    yearGrid.addEventListener('mouseout', hideDayTooltip);
+    yearGrid.addEventListener('focusout', hideDayTooltip);
+
     yearGrid.addEventListener('click', (e) => {
       const day = e.target.closest('.day');
       if (!day || !day.dataset.date || !day.textContent.trim()) return;
       openInlinePanel(day.dataset.date, day);
     });
     yearGrid.addEventListener('keydown', (e) => {
+      const day = e.target.closest('.day[data-date]');
+      if (!day) return;
       if (e.key === 'Enter' || e.key === ' ') {
-        const day = e.target.closest('.day');
-        if (!day || !day.dataset.date || !day.textContent.trim()) return;
         e.preventDefault();
         openInlinePanel(day.dataset.date, day);
+        return;
       }
+      const next = gridKeyTarget(day.dataset.date, e, getSettings(loadState()).weekStart);
+      if (!next) return;
+      e.preventDefault();
+      calendarFocusDate = next;
+      // past either end of the year the grid switches years and focuses the day there
+      const nextYear = Number(next.slice(0, 4));
+      if (nextYear !== calendarYear) showYear(nextYear);
+      else yearGrid.querySelector(`.day[data-date="${next}"]`)?.focus();
+    });
+    // whichever day gets focus (keys, click, or Tab) becomes the grid's Tab stop
+    yearGrid.addEventListener('focusin', (e) => {
+      const day = e.target.closest('.day[data-date]');
+      if (!day) return;
+      calendarFocusDate = day.dataset.date;
+      yearGrid.querySelectorAll('.day[tabindex="0"]').forEach(el => { if (el !== day) el.tabIndex = -1; });
+      day.tabIndex = 0;
     });
 
     const pop = document.getElementById('datePopover');
@@ -516,12 +4246,53 @@ function initCalendar(){
     let currentAnchor = null;
     let inlineClickHandler = null;
     let inlineEscHandler = null;
+    let releaseInline = null;
 
+    // the day's task list, wrapped in .day-tasks so refreshInlinePanel can swap it
     function buildTasksHtml(dateKey){
       const state = loadState();
-      const tasks = state.tasks.filter(t => t.createdAt === dateKey || t.completedAt === dateKey);
-      if (!tasks.length) return '<p class="muted">No tasks for this day.</p>';
-      return '<ul class="modal-task-list">' + tasks.map(t => `<li class="modal-task" data-id="${t.id}"><label><input type="checkbox" class="modal-checkbox" data-id="${t.id}" ${t.completed ? 'checked' : ''}> <span class="${t.completed ? 'completed' : ''}">${escapeHtml(t.text)}</span></label> <button class="modal-delete" data-id="${t.id}" aria-label="Delete task">Delete</button></li>`).join('') + '</ul>';
+      const listTasks = state.tasks.filter(t => inList(t, calendarListId));
+      const tasks = tasksForDate(listTasks, dateKey);
+      const focus = focusMinutesByDay(listTasks).get(dateKey);
+      const focusTotal = focus ? `<p class="focus-total">⏱ ${tr('calendar.focusTotal', { minutes: focus })}</p>` : '';
+      const reflection = journalHtml(journalEntry(state, dateKey));
+      if (!tasks.length) return `<div class="day-tasks">${reflection}${focusTotal}<p class="muted">${tr('calendar.noTasks')}</p></div>`;
+      // list color dot (helps in the "All lists" view)
+      const listDot = (t) => {
+        const list = findList(state, t.listId);
+        return list ? `<span class="list-dot" style="--list-color:${escapeHtml(list.color)}" title="${escapeHtml(list.name)}"></span> ` : '';
+      };
+      // carry-over history: how often a task slipped, and where it went if it left this day
+      const slipBadge = (t) => {
+        const slips = t.rolledOver || [];
+        if (!slips.length) return '';
+        const movedAway = t.createdAt !== dateKey && t.completedAt !== dateKey;
+        const label = movedAway
+          ? `↷ ${tr('calendar.movedTo', { date: formatDate(t.createdAt, { month:'short', day:'numeric' }) })}`
+          : tr('leftovers.slipped', { count: slips.length });
+        return ` <span class="slip-badge" title="${escapeHtml(tr('calendar.rolledFrom', { dates: slips.map(k => formatDate(k, { month:'short', day:'numeric' })).join(', ') }))}">${label}</span>`;
+      };
+      // expandable checklist for tasks with subtasks
+      const subtasksHtml = (t) => {
+        const subs = t.subtasks || [];
+        if (!subs.length) return '';
+        return `<details class="modal-subtasks" data-id="${t.id}"><summary>${tr('calendar.subtasks', { done: subs.filter(x => x.done).length, count: subs.length })}</summary><ul>`
+          + subs.map(x => `<li><label><input type="checkbox" class="modal-subtask-check" data-id="${t.id}" data-sub="${x.id}" ${x.done ? 'checked' : ''}> <span class="${x.done ? 'completed' : ''}">${escapeHtml(x.text)}</span></label></li>`).join('')
+          + '</ul></details>';
+      };
+      // focus logged on this task on this day
+      const focusBadge = (t) => {
+        const minutes = taskFocusMinutes(t, dateKey);
+        return minutes ? ` <span class="focus-badge" title="${tr('calendar.focusLogged')}">⏱ ${minutes}m</span>` : '';
+      };
+      // mark tasks that were generated from a recurring template
+      const templateBadge = (t) => {
+        if (!t.templateId) return '';
+        const tpl = (state.templates || []).find(x => x.id === t.templateId);
+        const label = tpl ? tpl.text : tr('calendar.deletedTemplate');
+        return ` <span class="template-badge" title="${escapeHtml(tr('calendar.fromTemplate', { text: label }))}">↻ ${escapeHtml(tpl ? describeTemplateRule(tpl.rule) : label)}</span>`;
+      };
+      return `<div class="day-tasks">${reflection}${focusTotal}<ul class="modal-task-list">` + sortDayTasks(tasks, 'priority').map(t => `<li class="modal-task${t.priority ? ` priority-${t.priority}` : ''}" data-id="${t.id}"><label><input type="checkbox" class="modal-checkbox" data-id="${t.id}" ${t.completed ? 'checked' : ''}> ${listDot(t)}<span class="${t.completed ? 'completed' : ''}">${escapeHtml(t.text)}</span>${tagChips(t)}${t.dueTime ? ` <span class="due-chip static" title="${tr('due.time')}">⏰ ${t.dueTime}</span>` : ''}${focusBadge(t)}${templateBadge(t)}${slipBadge(t)}${t.droppedAt ? ` <span class="slip-badge">${tr('calendar.dropped')}</span>` : ''}</label> <button class="modal-delete" data-id="${t.id}" aria-label="${tr('task.delete')}">${tr('common.delete')}</button>${subtasksHtml(t)}</li>`).join('') + '</ul></div>';
     }
 
     // Inline expansion panel that inserts directly below clicked day (spans whole month row)
@@ -535,8 +4306,12 @@ function initCalendar(){
       currentInline = document.createElement('div');
       currentInline.className = 'inline-overlay';
       currentInline.dataset.date = dateKey;
-      const headerLabel = new Date(dateKey).toLocaleDateString(undefined, { weekday:'short', month:'short', day:'numeric' });
-      currentInline.innerHTML = `<div class="inline-header"><strong>${headerLabel}</strong><button class="close-overlay" aria-label="Close">✕</button></div>` + buildTasksHtml(dateKey);
+      const headerLabel = formatDate(dateKey, { weekday:'short', month:'short', day:'numeric' });
+      currentInline.setAttribute('role', 'dialog');
+      currentInline.setAttribute('aria-modal', 'true');
+      currentInline.setAttribute('aria-label', formatDate(dateKey, { weekday:'long', month:'long', day:'numeric', year:'numeric' }));
+      currentInline.innerHTML = `<div class="inline-header"><strong>${headerLabel}</strong><button class="close-overlay" aria-label="${tr('common.close')}">✕</button></div>` + buildTasksHtml(dateKey)
+        + `<form class="overlay-add-form"><input class="overlay-add-input" placeholder="${tr(dateKey < todayKey() ? 'calendar.addPast' : 'calendar.addPlan')}" aria-label="${tr('calendar.addLabel')}" /><button type="submit">+</button></form>`;
 
       document.body.appendChild(currentInline);
 
@@ -554,21 +4329,89 @@ function initCalendar(){
         currentInline.style.top = '80px';
       }
 
-      // focus management
+      // focus management: Tab stays in the overlay; closing it with ✕ or Esc returns to the day
       const closeBtn = currentInline.querySelector('.close-overlay');
-      closeBtn?.addEventListener('click', closeInlinePanel);
+      closeBtn?.addEventListener('click', () => closeInlinePanel(true));
+      releaseInline = trapFocus(currentInline);
+      currentInline.querySelector('.overlay-add-form')?.addEventListener('submit', (ev) => {
+        ev.preventDefault();
+        const input = ev.target.querySelector('.overlay-add-input');
+        if (addTaskForDate(dateKey, input.value)) input.value = '';
+        input.focus();
+      });
 
       // click outside or Esc closes it
       inlineClickHandler = (ev) => {
+        // targets removed by a re-render inside the overlay (e.g. Delete) count as inside
+        if (!ev.target.isConnected) return;
         if (!currentInline.contains(ev.target) && !anchorEl.contains(ev.target)) closeInlinePanel();
       };
-      inlineEscHandler = (ev) => { if (ev.key === 'Escape') closeInlinePanel(); };
+      inlineEscHandler = (ev) => { if (ev.key === 'Escape') closeInlinePanel(true); };
       document.addEventListener('click', inlineClickHandler);
       document.addEventListener('keydown', inlineEscHandler);
     }
 
-    function closeInlinePanel(){
+    // Schedule a task on any day from its overlay. It joins the filtered list (or the
+    // home page's list in the "All lists" view) at the end of that day's order, and shows
+    // up on the home page once the day arrives.
+    function addTaskForDate(dateKey, value){
+      const { text, tags } = parseTags(value);
+      if (!text) return false;
+      const state = loadState();
+      const listId = calendarListId !== ALL_LISTS ? calendarListId : targetListId(state);
+      const dayTasks = sortDayTasks(state.tasks.filter(t => t.createdAt === dateKey && t.listId === listId));
+      const action = beginAction(state, dayTasks.map(t => t.id));
+      const task = { id: generateId(), text, completed: false, createdAt: dateKey, completedAt: null, listId };
+      if (tags.length) task.tags = tags;
+      state.tasks.push(task);
+      applyOrder([...dayTasks, task]);
+      saveState(state);
+      action.ids.push(task.id);
+      action.before.tasks[task.id] = null;
+      commitAction(action, state, 'undo.addTask');
+      initCalendar();
+      refreshInlinePanel();
+      const label = formatDate(dateKey, { month:'short', day:'numeric' });
+      showToast(tr(dateKey > todayKey() ? 'calendar.plannedFor' : 'calendar.addedTo', { date: label }), 5000, { label: tr('undo.button'), onClick: () => stepCalendarHistory('undo') });
+      return true;
+    }
+
+    // rebuild the open overlay's task list in place (used when another tab changes tasks)
+    function refreshInlinePanel(){
+      if (!currentInline) return;
+      const list = currentInline.querySelector('.day-tasks');
+      if (!list) return;
+      // keep expanded subtask lists open across the rebuild
+      const open = [...currentInline.querySelectorAll('.modal-subtasks[open]')].map(d => d.dataset.id);
+      const wrap = document.createElement('div');
+      wrap.innerHTML = buildTasksHtml(currentInline.dataset.date);
+      list.replaceWith(...wrap.childNodes);
+      open.forEach(id => currentInline.querySelector(`.modal-subtasks[data-id="${id}"]`)?.setAttribute('open', ''));
+    }
+
+    // live updates from other tabs: redraw the grid, stats and any open overlay
+    onExternalStateChange(() => {
+      initCalendar();
+      refreshInlinePanel();
+    });
+
+    // undo / redo shares the session history with the home page
+    function stepCalendarHistory(direction){
+      const state = loadState();
+      const entry = stepHistory(state, direction);
+      if (!entry) { showToast(tr(direction === 'undo' ? 'undo.nothingToUndo' : 'undo.nothingToRedo')); return; }
+      saveState(state);
+      initCalendar();
+      refreshInlinePanel();
+      showToast(tr(direction === 'undo' ? 'undo.undone' : 'undo.redone', { action: tr(entry.label) }));
+    }
+    bindUndoKeys(stepCalendarHistory);
+
+    function closeInlinePanel(returnFocus){
       if (!currentInline) return;
+      if (releaseInline) { releaseInline(false); releaseInline = null; }
+      // the grid may have been redrawn meanwhile, so look the day up again
+      if (returnFocus) yearGrid.querySelector(`.day[data-date="${currentInline.dataset.date}"]`)?.focus();
       currentInline.remove();
       currentInline = null;
       currentAnchor = null;
@@ -589,7 +4432,7 @@ function initCalendar(){
       pop.style.visibility = 'hidden';
       pop.setAttribute('aria-hidden','false');
 
-      pop.innerHTML = `<div class="popover-header"><strong>${new Date(dateKey).toLocaleDateString(undefined, { weekday:'short', month:'short', day:'numeric' })}</strong></div>` + buildTasksHtml(dateKey);
+      pop.innerHTML = `<div class="popover-header"><strong>${formatDate(dateKey, { weekday:'short', month:'short', day:'numeric' })}</strong></div>` + buildTasksHtml(dateKey);
       pop.classList.add('open');
 
       // place popover near anchor element
@@ -656,10 +4499,14 @@ function initCalendar(){
         const id = e.target.dataset.id;
         if (!id) return;
         const state = loadState();
+        const action = beginAction(state, [id]);
         state.tasks = state.tasks.filter(t => t.id !== id);
         saveState(state);
+        commitAction(action, state, 'undo.deleteTask');
         // refresh modals/popovers
-        closePopup(); closeModal(); initCalendar(); return;
+        closePopup(); closeModal(); initCalendar(); refreshInlinePanel();
+        showToast(tr('task.deleted'), 5000, { label: tr('undo.button'), onClick: () => stepCalendarHistory('undo') });
+        return;
       }
       if (e.target.classList && e.target.classList.contains('modal-checkbox')) {
         const id = e.target.dataset.id;
@@ -667,43 +4514,1178 @@ function initCalendar(){
         const state = loadState();
         const t = state.tasks.find(t => t.id === id);
         if (!t) return;
-          t.completed = e.target.checked;
-          // Attribute completion to the date currently being viewed (overlay or modal)
-          const viewDate = (typeof currentInline !== 'undefined' && currentInline && currentInline.dataset && currentInline.dataset.date)
-                            || currentModalDate || todayKey();
-          // Only set completedAt for past dates; for today, it will be set by Save Day button
-          if (viewDate !== todayKey()) {
-            t.completedAt = t.completed ? viewDate : null;
-          }
+        const action = beginAction(state, [id]);
+        // Attribute completion to the date currently being viewed (overlay or modal)
+        const viewDate = (typeof currentInline !== 'undefined' && currentInline && currentInline.dataset && currentInline.dataset.date)
+                          || currentModalDate || todayKey();
+        setTaskChecked(t, e.target.checked, viewDate);
         saveState(state);
+        commitAction(action, state, t.completed ? 'undo.completeTask' : 'undo.uncompleteTask');
         closePopup(); closeModal(); initCalendar(); return;
       }
+      if (e.target.classList && e.target.classList.contains('modal-subtask-check')) {
+        const state = loadState();
+        const t = state.tasks.find(t => t.id === e.target.dataset.id);
+        if (!t) return;
+        const action = beginAction(state, [t.id]);
+        // the last subtask completes the task, on the day being viewed (same rule as its checkbox)
+        const viewDate = (currentInline && currentInline.dataset.date) || todayKey();
+        setSubtaskDone(t, e.target.dataset.sub, e.target.checked, viewDate);
+        saveState(state);
+        commitAction(action, state, e.target.checked ? 'undo.completeSubtask' : 'undo.uncompleteSubtask');
+        initCalendar();
+        refreshInlinePanel();
+        return;
+      }
     });
 
     // close modal via close button and backdrop
     closeModalBtn?.addEventListener('click', closeModal);
     modal.querySelector('.modal-backdrop')?.addEventListener('click', closeModal);
 
+    // deep link (?date=YYYY-MM-DD): open that day's overlay once the grid exists
+    const linkedDate = dateFromUrl();
+    const linkedDay = linkedDate && yearGrid.querySelector(`.day[data-date="${linkedDate}"]`);
+    if (linkedDay) {
+      linkedDay.scrollIntoView({ block: 'center' });
+      openInlinePanel(linkedDate, linkedDay);
+    }
+
+    // theme toggle button on calendar page
+    const themeBtn = document.getElementById('themeToggleCal');
+    if (themeBtn) themeBtn.addEventListener('click', toggleTheme);
+
     calendarListenersInitialized = true;
   }
 
-  // theme toggle button on calendar page
-  const themeBtn = document.getElementById('themeToggleCal');
+  // Apply theme from saved state
+  applyTheme(state.theme);
+}
+
+/* -------- Archive page logic -------- */
+// search form field -> URL parameter, so a search can be linked (archive.html?tag=study)
+const ARCHIVE_PARAMS = {
+  archiveText: 'q', archiveTag: 'tag', archiveStatus: 'status', archiveList: 'list',
+  createdFrom: 'createdFrom', createdTo: 'createdTo', completedFrom: 'completedFrom', completedTo: 'completedTo'
+};
+// days rendered at once; narrowing the search shows the rest
+const ARCHIVE_DAY_LIMIT = 60;
+
+// Every task matching the query. Empty fields don't filter; date ranges are inclusive
+// YYYY-MM-DD keys, and a completed range only matches tasks with a completion date.
+function searchTasks(tasks, query){
+  const words = (query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return (tasks || []).filter(t => {
+    if (query.list && query.list !== ALL_LISTS && t.listId !== query.list) return false;
+    if (query.tag && !(t.tags || []).includes(query.tag)) return false;
+    if (query.status === 'completed' && !t.completed) return false;
+    if (query.status === 'open' && (t.completed || t.droppedAt)) return false;
+    if (query.status === 'dropped' && !t.droppedAt) return false;
+    if (query.createdFrom && t.createdAt < query.createdFrom) return false;
+    if (query.createdTo && t.createdAt > query.createdTo) return false;
+    if ((query.completedFrom || query.completedTo) && !t.completedAt) return false;
+    if (query.completedFrom && t.completedAt < query.completedFrom) return false;
+    if (query.completedTo && t.completedAt > query.completedTo) return false;
+    if (words.length) {
+      const haystack = taskTextWithTags(t).toLowerCase();
+      if (!words.every(w => haystack.includes(w))) return false;
+    }
+    return true;
+  });
+}
+
+// Journal entries matching the query's text and created range. A reflection belongs to a
+// day, not a task, so filtering by tag, status, list or completion date leaves them out.
+function searchJournal(entries, query){
+  if (query.tag || (query.status && query.status !== 'all') || (query.list && query.list !== ALL_LISTS) || query.completedFrom || query.completedTo) return [];
+  const words = (query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return (entries || []).filter(j => {
+    if (!j.note && !j.mood) return false;
+    if (query.createdFrom && j.date < query.createdFrom) return false;
+    if (query.createdTo && j.date > query.createdTo) return false;
+    const haystack = j.note.toLowerCase();
+    return words.every(w => haystack.includes(w));
+  });
+}
+
+function initArchive(){
+  const form = document.getElementById('archiveForm');
+  const results = document.getElementById('archiveResults');
+  const summaryEl = document.getElementById('archiveSummary');
+  const field = (id) => document.getElementById(id);
+
+  function readQuery(){
+    const query = {};
+    Object.entries(ARCHIVE_PARAMS).forEach(([id, param]) => { query[param] = (field(id)?.value || '').trim(); });
+    query.tag = query.tag.replace(/^#/, '').toLowerCase();
+    return query;
+  }
+
+  // keep the tag and list options in step with the data (tags can be added in another tab)
+  function renderOptions(state){
+    const tagSelect = field('archiveTag');
+    const listSelect = field('archiveList');
+    const tag = tagSelect.value;
+    const list = listSelect.value;
+    const tags = collectTags(state.tasks);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+    tagSelect.innerHTML = `<option value="">${tr('archive.anyTag')}</option>` + tags.map(t => `<option value="${escapeHtml(t)}">#${escapeHtml(t)}</option>`).join('');
+    tagSelect.value = tag;
+    listSelect.innerHTML = `<option value="${ALL_LISTS}">${tr('lists.allLists')}</option>`
+      + (state.lists || []).map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`).join('');
+    listSelect.value = findList(state, list) ? list : ALL_LISTS;
+  }
+
+  function resultHtml(state, t){
+    const list = findList(state, t.listId);
+    const mark = t.completed ? '✓' : (t.droppedAt ? '✕' : '○');
+    const status = t.completed ? 'completed' : (t.droppedAt ? 'dropped' : 'open');
+    const link = `calendar.html?year=${t.createdAt.slice(0, 4)}&date=${t.createdAt}`;
+    const shortDate = (k) => formatDate(k, { month:'short', day:'numeric', year:'numeric' });
+    const meta = [];
+    if (t.completedAt && t.completedAt !== t.createdAt) meta.push(tr('archive.doneOn', { date: shortDate(t.completedAt) }));
+    if ((t.rolledOver || []).length) meta.push(tr('leftovers.slipped', { count: t.rolledOver.length }));
+    if (t.droppedAt) meta.push(tr('archive.droppedOn', { date: shortDate(t.droppedAt) }));
+    return `<li class="archive-task ${status}${t.priority ? ` priority-${t.priority}` : ''}">
+        <a class="archive-link" href="${link}" title="${tr('archive.openDay')}">
+          <span class="archive-mark" aria-label="${tr(`archive.${status}`)}">${mark}</span>
+          ${list ? `<span class="list-dot" style="--list-color:${escapeHtml(list.color)}" title="${escapeHtml(list.name)}"></span>` : ''}
+          <span class="text">${escapeHtml(t.text)}</span>
+        </a>
+        ${(t.tags || []).map(tag => `<button type="button" class="tag" data-tag="${escapeHtml(tag)}" title="${escapeHtml(tr('archive.onlyTag', { tag }))}">#${escapeHtml(tag)}</button>`).join('')}
+        ${meta.length ? `<small class="muted">${meta.join(' • ')}</small>` : ''}
+      </li>`;
+  }
+
+  function render(){
+    const state = loadState();
+    renderOptions(state);
+    const query = readQuery();
+
+    // mirror the search into the URL without adding history entries
+    const url = new URL(window.location.href);
+    Object.values(ARCHIVE_PARAMS).forEach(param => {
+      const value = query[param];
+      if (value && !(param === 'list' && value === ALL_LISTS) && !(param === 'status' && value === 'all')) url.searchParams.set(param, value);
+      else url.searchParams.delete(param);
+    });
+    history.replaceState(null, '', url);
+
+    // group by the day each task belongs to, newest day first
+    const byDay = new Map();
+    searchTasks(state.tasks, query).forEach(t => {
+      if (!byDay.has(t.createdAt)) byDay.set(t.createdAt, []);
+      byDay.get(t.createdAt).push(t);
+    });
+    // reflections that match show on their day, which may have no matching tasks
+    const notes = new Map(searchJournal(state.journal, query).map(j => [j.date, j]));
+    const days = [...new Set([...byDay.keys(), ...notes.keys()])].sort().reverse();
+    const total = [...byDay.values()].reduce((n, list) => n + list.length, 0);
+    const found = [total && tr('task.count', { count: total }), notes.size && tr('archive.reflections', { count: notes.size })].filter(Boolean).join(', ');
+    summaryEl.textContent = days.length
+      ? `${tr('archive.summary', { tasks: found, days: tr('archive.dayCount', { count: days.length }) })}${days.length > ARCHIVE_DAY_LIMIT ? ` — ${tr('archive.latest', { count: ARCHIVE_DAY_LIMIT })}` : ''}`
+      : tr('archive.none');
+    results.innerHTML = days.slice(0, ARCHIVE_DAY_LIMIT).map(k => {
+      const dayTasks = sortDayTasks(byDay.get(k) || [], 'priority');
+      const done = dayTasks.filter(t => t.completed).length;
+      const label = formatDate(k, { weekday:'short', month:'short', day:'numeric', year:'numeric' });
+      return `<section class="archive-day">
+          <h3><a href="calendar.html?year=${k.slice(0, 4)}&date=${k}">${label}</a>${dayTasks.length ? ` <small class="muted">${tr('archive.dayDone', { done, count: dayTasks.length })}</small>` : ''}</h3>
+          ${journalHtml(notes.get(k))}
+          ${dayTasks.length ? `<ul class="archive-list">${dayTasks.map(t => resultHtml(state, t)).join('')}</ul>` : ''}
+        </section>`;
+    }).join('');
+  }
+
+  // prefill from the URL (tag links on the home page and calendar land here); the
+  // tag and list options have to exist before their values can be selected
+  renderOptions(loadState());
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(ARCHIVE_PARAMS).forEach(([id, param]) => {
+    if (field(id) && params.has(param)) field(id).value = params.get(param);
+  });
+
+  form.addEventListener('input', render);
+  form.addEventListener('submit', e => { e.preventDefault(); render(); });
+  form.addEventListener('reset', () => setTimeout(render, 0));
+  // clicking a tag on a result narrows the search to it
+  results.addEventListener('click', e => {
+    const tag = e.target.closest('button.tag');
+    if (!tag) return;
+    field('archiveTag').value = tag.dataset.tag;
+    render();
+  });
+
+  onExternalStateChange(render);
+  render();
+
+  const themeBtn = document.getElementById('themeToggleArchive');
   if (themeBtn) themeBtn.addEventListener('click', toggleTheme);
+  applyTheme(loadState().theme);
+}
 
-  // Apply theme from saved state
-  applyTheme(state.theme || 'light');
+/* -------- Stats page logic -------- */
+// chart size in SVG units; the SVG scales to the card width
+const STATS_CHART = { width: 600, height: 180, pad: 30 };
+
+function formatRate(rate){
+  return rate === null ? '–' : `${Math.round(rate * 100)}%`;
 }
 
-/* -------- Initialize the right behavior based on page ---- */
-document.addEventListener('DOMContentLoaded', () => {
-  // Start realtime date/time
-  startDateTime();
-  // Decide which page we are on by checking elements
-  if (document.getElementById('taskList')) {
-    initTodos();
+// Chart of completion rates (0..1) as a line or bars, with an optional dashed least-squares
+// trend line. Buckets without tasks are left as gaps. Colors come from the stylesheet.
+function svgRateChart(buckets, { title, labelOf, type = 'line', trend = false }){
+  const { width, height, pad } = STATS_CHART;
+  const n = buckets.length;
+  const band = (width - 2 * pad) / Math.max(1, n);
+  const x = (i) => pad + (i + 0.5) * band;
+  const y = (rate) => height - pad - Math.min(1, Math.max(0, rate)) * (height - 2 * pad);
+  const tip = (b) => `<title>${escapeHtml(labelOf(b.key))}: ${escapeHtml(tr('stats.tip', { done: b.completed, count: b.created, rate: formatRate(b.rate) }))}</title>`;
+
+  const grid = [0, 0.5, 1].map(r => `<line class="chart-grid" x1="${pad}" x2="${width - pad}" y1="${y(r)}" y2="${y(r)}"/>`
+    + `<text class="chart-label" x="${pad - 4}" y="${y(r) + 3}" text-anchor="end">${r * 100}%</text>`).join('');
+
+  let marks = '';
+  if (type === 'bar') {
+    marks = buckets.map((b, i) => b.rate === null ? '' : `<rect class="chart-bar" x="${(x(i) - band * 0.35).toFixed(1)}" y="${y(b.rate).toFixed(1)}" width="${(band * 0.7).toFixed(1)}" height="${(height - pad - y(b.rate)).toFixed(1)}">${tip(b)}</rect>`).join('');
+  } else {
+    // one polyline per run of buckets that have data
+    const runs = [];
+    let run = [];
+    buckets.forEach((b, i) => {
+      if (b.rate === null) { if (run.length) runs.push(run); run = []; return; }
+      run.push(`${x(i).toFixed(1)},${y(b.rate).toFixed(1)}`);
+    });
+    if (run.length) runs.push(run);
+    marks = runs.map(points => `<polyline class="chart-line" points="${points.join(' ')}"/>`).join('')
+      + buckets.map((b, i) => b.rate === null ? '' : `<circle class="chart-dot" cx="${x(i).toFixed(1)}" cy="${y(b.rate).toFixed(1)}" r="3.5">${tip(b)}</circle>`).join('');
+  }
+
+  const line = trend ? linearTrend(buckets.map(b => b.rate)) : null;
+  const trendMark = line ? `<line class="chart-trend" x1="${x(0)}" y1="${y(line.intercept).toFixed(1)}" x2="${x(n - 1)}" y2="${y(line.intercept + line.slope * (n - 1)).toFixed(1)}">`
+    + `<title>${escapeHtml(tr(type === 'bar' ? 'stats.trendMonth' : 'stats.trendWeek', { points: `${line.slope >= 0 ? '+' : ''}${(line.slope * 100).toLocaleString(appLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 })}` }))}</title></line>` : '';
+
+  // label every bucket when there is room, otherwise about eight evenly spaced ones
+  const every = Math.max(1, Math.ceil(n / 8));
+  const labels = buckets.map((b, i) => i % every ? '' : `<text class="chart-label" x="${x(i).toFixed(1)}" y="${height - 10}" text-anchor="middle">${escapeHtml(labelOf(b.key))}</text>`).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">${grid}${marks}${trendMark}${labels}</svg>`;
+}
+
+function initStats(){
+  const rangeSelect = document.getElementById('statsRange');
+  const listSelect = document.getElementById('statsList');
+  const setText = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+  const setHtml = (id, html) => { const el = document.getElementById(id); if (el) el.innerHTML = html; };
+
+  function render(){
+    const state = loadState();
+    const listId = listSelect.value && (listSelect.value === ALL_LISTS || findList(state, listSelect.value)) ? listSelect.value : ALL_LISTS;
+    listSelect.innerHTML = `<option value="${ALL_LISTS}">${tr('lists.allLists')}</option>`
+      + (state.lists || []).map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`).join('');
+    listSelect.value = listId;
+
+    // the range is whole weeks ending with the current one; planned (future) tasks are left out
+    const weeks = parseInt(rangeSelect.value, 10) || 12;
+    const today = todayKey();
+    const weekStart = getSettings(state).weekStart;
+    const weekOf = (k) => weekStartKey(k, weekStart);
+    const firstWeek = addDaysToKey(weekOf(today), -7 * (weeks - 1));
+    const tasks = (state.tasks || []).filter(t => inList(t, listId) && t.createdAt >= firstWeek && t.createdAt <= today);
+
+    const weekKeys = Array.from({ length: weeks }, (_, i) => addDaysToKey(firstWeek, 7 * i));
+    const monthKeys = [];
+    for (let d = parseDateKey(firstWeek.slice(0, 7) + '-01'); todayKey(d) <= today; d.setMonth(d.getMonth() + 1)) monthKeys.push(todayKey(d).slice(0, 7));
+    const weekly = completionBuckets(tasks, weekOf, weekKeys);
+    const monthly = completionBuckets(tasks, k => k.slice(0, 7), monthKeys);
+    const weekdays = completionBuckets(tasks, k => parseDateKey(k).getDay(), weekdayOrder(weekStart));
+
+    // headline numbers, averaged over days that had any tasks
+    const completed = tasks.filter(t => t.completed).length;
+    const activeDays = new Set(tasks.map(t => t.createdAt)).size;
+    setText('statsRate', formatRate(tasks.length ? completed / tasks.length : null));
+    const perDay = n => activeDays ? (n / activeDays).toLocaleString(appLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 }) : '0';
+    setText('statsAvgTasks', perDay(tasks.length));
+    setText('statsAvgDone', perDay(completed));
+    setText('statsActiveDays', activeDays);
+
+    // consistency follows the calendar's streak rules, evaluated over the list's whole history
+    const streaks = evaluateStreaks(indexTasksByDay((state.tasks || []).filter(t => inList(t, listId))), getStreakRules(state), today);
+    setText('statsConsistent', [...streaks.status].filter(([k, v]) => v === 'done' && k >= firstWeek).length);
+    setText('statsStreak', streaks.current);
+
+    const weekLabel = (k) => formatDate(k, { month:'short', day:'numeric' });
+    const monthLabel = (k) => formatDate(k + '-01', { month:'short', year:'numeric' });
+    setHtml('statsWeekly', svgRateChart(weekly, { title: tr('stats.perWeek'), labelOf: weekLabel, trend: true }));
+    setHtml('statsMonthly', svgRateChart(monthly, { title: tr('stats.perMonth'), labelOf: monthLabel, type: 'bar', trend: true }));
+    setHtml('statsWeekdays', svgRateChart(weekdays, { title: tr('stats.weekdayChart'), labelOf: (d) => weekdayName(d), type: 'bar' }));
+
+    // call out the weakest weekday
+    const ranked = weekdays.filter(b => b.rate !== null).sort((a, b) => a.rate - b.rate);
+    setText('statsWeekdayNote', ranked.length > 1
+      ? tr('stats.weekdayNote', {
+        low: weekdayName(ranked[0].key, 'long'), lowRate: formatRate(ranked[0].rate),
+        high: weekdayName(ranked[ranked.length - 1].key, 'long'), highRate: formatRate(ranked[ranked.length - 1].rate)
+      })
+      : '');
+
+    const skipped = mostSkipped(tasks, today);
+    setHtml('statsSkipped', skipped.length
+      ? skipped.map(g => `<li><span class="text">${escapeHtml(g.text)}</span> <small class="muted">${tr(g.tasks > 1 ? 'stats.skippedIn' : 'stats.skipped', { count: g.skipped, tasks: g.tasks })}</small></li>`).join('')
+      : `<li class="muted">${tr('stats.nothingSkipped')}</li>`);
   }
-  if (document.getElementById('yearGrid')) {
-    initCalendar();
+
+  rangeSelect.addEventListener('change', render);
+  listSelect.addEventListener('change', render);
+  onExternalStateChange(render);
+  render();
+
+  const themeBtn = document.getElementById('themeToggleStats');
+  if (themeBtn) themeBtn.addEventListener('click', toggleTheme);
+  applyTheme(loadState().theme);
+}
+
+/* -------- String catalog (shared) --------
+   One entry per UI text, grouped by prefix. English is the reference: a key missing
+   from another language shows the English text. To add a language, copy the `en`
+   block under a new code and add it to LANGUAGES and the Settings language select. */
+const STRINGS = {
+  en: {
+    'home.editTitle': 'Click to edit title',
+    'home.pageTitle': 'Legacy Arc To-do',
+    'home.titleUpdated': 'App title updated',
+    'nav.archive': 'Search all tasks',
+    'nav.back': 'Back to to-do',
+    'nav.calendar': 'Open calendar',
+    'nav.stats': 'Statistics',
+    'nav.theme': 'Switch theme (system, light, dark)',
+    'lists.add': 'Add list',
+    'lists.added': 'List "{name}" added',
+    'lists.all': 'All',
+    'lists.allLists': 'All lists',
+    'lists.color': 'List color',
+    'lists.deleteHint': 'Delete list (tasks move to another list)',
+    'lists.deleted': 'List "{name}" deleted — tasks moved to {target}',
+    'lists.label': 'Lists',
+    'lists.list': 'List',
+    'lists.new': 'New list',
+    'lists.newChip': '+ List',
+    'lists.newPlaceholder': 'New list name (e.g. Work)',
+    'lists.saveTitle': 'Save Title',
+    'lists.titlePlaceholder': 'Enter list title (e.g. Daily Study Goals)',
+    'common.add': 'Add',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.delete': 'Delete',
+    'common.edit': 'Edit',
+    'common.import': 'Import',
+    'common.min': 'min',
+    'common.save': 'Save',
+    'task.addPlaceholder': 'Add a task, e.g. "call mom tomorrow 6pm #family !high"',
+    'task.count': { one: '{count} task', other: '{count} tasks' },
+    'task.delete': 'Delete task',
+    'task.deleted': 'Task deleted',
+    'task.edit': 'Edit task',
+    'task.hintEdit': 'Double-click to edit',
+    'task.hintReorder': 'Double-click to edit • drag or Alt+↑/↓ to reorder',
+    'task.manualOnly': 'Switch to manual order to reorder',
+    'task.recurring': 'Recurring task',
+    'task.updated': 'Task updated',
+    'tags.add': 'Add a tag',
+    'tags.addExisting': 'Add an existing tag',
+    'tags.allTagged': 'All tasks tagged #{tag}',
+    'quickAdd.today': 'Today',
+    'quickAdd.tomorrow': 'Tomorrow',
+    'priority.change': 'Priority: {priority} (click to change)',
+    'priority.current': 'Priority: {priority}',
+    'priority.high': 'High',
+    'priority.label': 'Priority',
+    'priority.low': 'Low',
+    'priority.medium': 'Medium',
+    'priority.none': 'None',
+    'due.at': 'due {time}',
+    'due.change': 'Due {time}{reminder} (click to change)',
+    'due.inHours': 'due in {hours}h',
+    'due.inHoursMinutes': 'due in {hours}h {minutes}m',
+    'due.inMinutes': 'due in {minutes}m',
+    'due.overdue': 'overdue',
+    'due.reminder': 'reminder: {reminder}',
+    'due.remove': 'Remove due time',
+    'due.set': 'Set a due time',
+    'due.time': 'Due time',
+    'due.timeOptional': 'Due time (optional)',
+    'reminder.atDue': 'At due time',
+    'reminder.closeDay': 'Close the day with a short reflection',
+    'reminder.dueAt': 'Due at {time}',
+    'reminder.dueNow': 'Due now ({time})',
+    'reminder.eveningBody': { one: '{count} task still open today', other: '{count} tasks still open today' },
+    'reminder.hoursBefore': { one: '{count} hour before', other: '{count} hours before' },
+    'reminder.label': 'Reminder',
+    'reminder.minutesBefore': '{count} min before',
+    'reminder.none': 'No reminder',
+    'progress.label': 'Daily Progress',
+    'progress.status': { one: '{done} of {count} task done, {pct}%', other: '{done} of {count} tasks done, {pct}%' },
+    'leftovers.allDrop': 'Drop all',
+    'leftovers.allToday': 'Move all to today',
+    'leftovers.date': 'Reschedule date',
+    'leftovers.drop': 'Drop',
+    'leftovers.dropped': 'Task dropped',
+    'leftovers.droppedAll': 'Leftovers dropped',
+    'leftovers.from': 'from {date}',
+    'leftovers.moved': 'Moved to today',
+    'leftovers.pickDate': 'Pick a date from today on',
+    'leftovers.reschedule': 'Reschedule',
+    'leftovers.rescheduled': 'Rescheduled to {date}',
+    'leftovers.slipped': 'slipped {count}×',
+    'leftovers.title': 'Yesterday\'s leftovers',
+    'leftovers.toToday': 'Move to today',
+    'templates.added': 'Recurring task added',
+    'templates.daily': 'Every day',
+    'templates.days': 'days',
+    'templates.delete': 'Delete template',
+    'templates.deleted': 'Recurring task deleted',
+    'templates.every': 'Every',
+    'templates.everyN': { one: 'Every day', other: 'Every {count} days' },
+    'templates.interval': 'Every N days',
+    'templates.monthly': 'Monthly',
+    'templates.monthlyOn': 'Monthly on day {day}',
+    'templates.noDays': 'No days',
+    'templates.none': 'No recurring tasks yet.',
+    'templates.onDay': 'On day',
+    'templates.paused': 'paused',
+    'templates.pausedToast': 'Recurring task paused',
+    'templates.pickWeekday': 'Pick at least one weekday',
+    'templates.repeat': 'Repeat',
+    'templates.resumed': 'Recurring task resumed',
+    'templates.textPlaceholder': 'Task text (e.g. Morning run)',
+    'templates.title': 'Recurring tasks',
+    'templates.updated': 'Recurring task updated',
+    'templates.weekdays': 'Specific weekdays',
+    'theme.accent': 'Accent color',
+    'theme.applied': 'Theme "{name}" applied',
+    'theme.apply': 'Apply',
+    'theme.dark': 'Dark',
+    'theme.default': 'Default',
+    'theme.delete': 'Delete theme',
+    'theme.deleted': 'Theme "{name}" deleted',
+    'theme.heat.amber': 'Amber',
+    'theme.heat.blue': 'Blue',
+    'theme.heat.cyan': 'Cyan',
+    'theme.heat.green': 'Green',
+    'theme.heat.grey': 'Grey',
+    'theme.heat.magenta': 'Magenta',
+    'theme.heatmap': 'Heatmap colors',
+    'theme.imported': 'Theme "{name}" imported',
+    'theme.light': 'Light',
+    'theme.mode': 'Theme',
+    'theme.name': 'Theme name',
+    'theme.none': 'No saved themes yet.',
+    'theme.notTheme': 'Not a Legacy Arc theme file',
+    'theme.save': 'Save as theme',
+    'theme.saved': 'Theme "{name}" saved',
+    'theme.share': 'Share',
+    'theme.shareHint': 'Download as a JSON file to share',
+    'theme.system': 'Follow system',
+    'theme.themes': 'Saved themes',
+    'quotes.added': 'Quote added',
+    'quotes.all': 'All quotes',
+    'quotes.author': 'Author',
+    'quotes.authorOptional': 'Author (optional)',
+    'quotes.category': 'Quote category',
+    'quotes.categoryField': 'Category',
+    'quotes.categoryOptional': 'Category (optional)',
+    'quotes.delete': 'Delete quote',
+    'quotes.deleted': 'Quote deleted',
+    'quotes.duplicate': 'That quote is already in the library',
+    'quotes.favorite': 'Add to favorites',
+    'quotes.favorites': 'Favorites',
+    'quotes.imported': { one: '{count} quote imported', other: '{count} quotes imported' },
+    'quotes.none': 'No quotes yet. Add one or import a file.',
+    'quotes.noneFound': 'No quotes found',
+    'quotes.quote': 'Quote',
+    'quotes.showFrom': 'Show quotes from',
+    'quotes.skipped': '({count} already in the library)',
+    'quotes.title': 'Quotes',
+    'quotes.unfavorite': 'Remove from favorites',
+    'quotes.updated': 'Quote updated',
+    'settings.breakMinutes': 'Break minutes',
+    'settings.carryOver': 'Carry over unfinished tasks to the next day',
+    'settings.evening': 'Evening reminder',
+    'settings.eveningNone': '(leave empty for none)',
+    'settings.eveningTime': 'Evening reminder time',
+    'settings.focus': 'Focus',
+    'settings.focusBreak': 'min, break',
+    'settings.focusMinutes': 'Focus session minutes',
+    'settings.language': 'Language',
+    'settings.languageAuto': 'Browser default',
+    'settings.sortManual': 'Manual order',
+    'settings.taskSort': 'Order today\'s list by',
+    'settings.title': 'Settings',
+    'settings.weekStart': 'Weeks start on',
+    'sync.address': 'Sync server address',
+    'sync.badResponse': 'Unexpected server response',
+    'sync.badToken': 'The server rejected the token',
+    'sync.done': 'Synced',
+    'sync.failed': 'Sync failed: {error}',
+    'sync.failedShort': 'Sync failed',
+    'sync.justNow': 'Synced just now',
+    'sync.minutesAgo': 'Synced {count} min ago',
+    'sync.needAddress': 'Enter the server address first, e.g. http://localhost:8787',
+    'sync.never': 'Not synced yet',
+    'sync.now': 'Sync now',
+    'sync.off': 'Sync is off.',
+    'sync.offline': 'Offline',
+    'sync.serverError': 'Server error {status}',
+    'sync.token': 'Sync token',
+    'sync.tokenOptional': 'Token (optional)',
+    'sync.turnOn': 'Turn sync on first',
+    'sync.unreachable': 'Server unreachable',
+    'sync.waiting': { one: '{count} change waiting', other: '{count} changes waiting' },
+    'sync.with': 'Sync with',
+    'backup.changed': '{count} changed',
+    'backup.changedLabel': 'Changed:',
+    'backup.exportCsv': 'Export CSV',
+    'backup.exportJson': 'Export JSON',
+    'backup.importFile': 'Import {name}',
+    'backup.localOnly': '{count} only in this browser (removed by Replace)',
+    'backup.malformed': { one: '{count} malformed task will be skipped', other: '{count} malformed tasks will be skipped' },
+    'backup.merge': 'Merge',
+    'backup.merged': 'Backup merged',
+    'backup.new': 'New:',
+    'backup.newTasks': { one: '{count} new task', other: '{count} new tasks' },
+    'backup.newerVersion': 'Backup was made by a newer version',
+    'backup.noTasks': 'Backup has no task list',
+    'backup.notBackup': 'Not a Legacy Arc backup',
+    'backup.replace': 'Replace',
+    'backup.restored': 'Backup restored',
+    'backup.title': 'Backup',
+    'backup.unchanged': '{count} unchanged',
+    'ics.addAll': 'Add all',
+    'ics.addUpcoming': 'Only today and later',
+    'ics.duplicates': { one: '{count} already here (same UID), skipped', other: '{count} already here (same UID), skipped' },
+    'ics.export': 'Export iCalendar',
+    'ics.imported': { one: '{count} task imported', other: '{count} tasks imported' },
+    'ics.notCalendar': 'Not an iCalendar file',
+    'ics.pastOpen': { one: '{count} open task on a past day', other: '{count} open tasks on past days' },
+    'ics.unusable': { one: '{count} item without a title or date will be skipped', other: '{count} items without a title or date will be skipped' },
+    'ics.withDays': 'with completed days',
+    'celebrate.body': 'You crushed all your tasks today. Keep the momentum going!',
+    'celebrate.title': 'Amazing! Day Complete!',
+    'closeDay.button': '🌙 Close the day',
+    'closeDay.edit': '🌙 Edit today\'s reflection',
+    'closeDay.noTasks': 'No tasks today.',
+    'closeDay.save': 'Close the day',
+    'closeDay.saved': 'Day closed',
+    'closeDay.summary': { one: '{done} of {count} task done today.', other: '{done} of {count} tasks done today.' },
+    'closeDay.title': 'Close the day',
+    'journal.mood': 'How was today?',
+    'journal.mood1': 'Rough',
+    'journal.mood2': 'Meh',
+    'journal.mood3': 'Okay',
+    'journal.mood4': 'Good',
+    'journal.mood5': 'Great',
+    'journal.note': 'Reflection',
+    'journal.placeholder': 'What went well? What would you do differently?',
+    'footer.developedBy': 'Developed by',
+    'calendar.addLabel': 'Add a task for this day',
+    'calendar.addPast': 'Add a task to this day (#tags ok)',
+    'calendar.addPlan': 'Plan a task for this day (#tags ok)',
+    'calendar.addedTo': 'Added to {date}',
+    'calendar.allTimeDays': 'All-time days',
+    'calendar.belowMin': 'below the daily minimum',
+    'calendar.closeHint': 'Click outside or press Esc to close',
+    'calendar.closeModal': 'Close modal',
+    'calendar.current': 'Current',
+    'calendar.date': 'Date',
+    'calendar.days': 'Days',
+    'calendar.daysIn': 'Days in {year}',
+    'calendar.deletedTemplate': 'deleted template',
+    'calendar.dropped': 'dropped',
+    'calendar.focusLogged': 'Focus time logged on this day',
+    'calendar.focusMinutes': '{minutes} min focus',
+    'calendar.focusTotal': '{minutes} min of focus',
+    'calendar.footer': 'Consistency tracker • Based on completed tasks',
+    'calendar.freeze': 'Freeze',
+    'calendar.freezes': 'Freezes',
+    'calendar.fromTemplate': 'From recurring task: {text}',
+    'calendar.gridHelp': 'Arrow keys move between days and weeks, Page Up and Page Down between months. Enter opens the day.',
+    'calendar.gridLabel': 'Days of {year}',
+    'calendar.heading': 'Consistency',
+    'calendar.less': 'Less',
+    'calendar.longest': 'Longest',
+    'calendar.metricCount': 'Completed tasks',
+    'calendar.metricFocus': 'Focus minutes',
+    'calendar.metricRatio': 'Completion ratio',
+    'calendar.more': 'More',
+    'calendar.movedTo': 'moved to {date}',
+    'calendar.nextYear': 'Next year',
+    'calendar.noTasks': 'No tasks for this day.',
+    'calendar.pageTitle': 'Consistency Calendar',
+    'calendar.planned': 'Planned',
+    'calendar.plannedFor': 'Planned for {date}',
+    'calendar.prevYear': 'Previous year',
+    'calendar.rest': 'Rest',
+    'calendar.rolledFrom': 'Rolled over from: {dates}',
+    'calendar.shadeBy': 'Shade by',
+    'calendar.subtasks': { one: '{done}/{count} subtask', other: '{done}/{count} subtasks' },
+    'calendar.year': 'Year',
+    'streak.freezesPerMonth': 'Freeze days per month',
+    'streak.frozenNote': 'streak freeze used',
+    'streak.help': 'Rest days don\'t break a streak. One freeze is earned for every 7 consistent days in a row and is used up automatically on a missed day.',
+    'streak.minCount': 'completed tasks',
+    'streak.minPercent': '% of its tasks done',
+    'streak.minimum': 'A day counts with at least',
+    'streak.restDays': 'Rest days',
+    'streak.restNote': 'rest day',
+    'streak.title': 'Streak rules',
+    'archive.anyStatus': 'Any status',
+    'archive.anyTag': 'Any tag',
+    'archive.clear': 'Clear',
+    'archive.completed': 'Completed',
+    'archive.completedFrom': 'Completed from',
+    'archive.completedTo': 'Completed to',
+    'archive.created': 'Created',
+    'archive.createdFrom': 'Created from',
+    'archive.createdTo': 'Created to',
+    'archive.dayCount': { one: '{count} day', other: '{count} days' },
+    'archive.dayDone': '{done}/{count} done',
+    'archive.doneOn': 'done {date}',
+    'archive.dropped': 'Dropped',
+    'archive.droppedOn': 'dropped {date}',
+    'archive.footer': 'Every task, every day',
+    'archive.heading': 'Archive',
+    'archive.latest': 'showing the latest {count} days',
+    'archive.none': 'No matching tasks or reflections.',
+    'archive.onlyTag': 'Only #{tag}',
+    'archive.open': 'Open',
+    'archive.openDay': 'Open this day in the calendar',
+    'archive.pageTitle': 'Task Archive',
+    'archive.reflections': { one: '{count} reflection', other: '{count} reflections' },
+    'archive.searchPlaceholder': 'Search tasks and reflections (text or #tag)',
+    'archive.searchText': 'Search text',
+    'archive.status': 'Status',
+    'archive.summary': '{tasks} on {days}',
+    'archive.tag': 'Tag',
+    'stats.activeDays': 'Active days',
+    'stats.byWeekday': 'By weekday',
+    'stats.completed': 'Completed',
+    'stats.consistentDays': 'Consistent days',
+    'stats.currentStreak': 'Current streak',
+    'stats.donePerDay': 'Done / day',
+    'stats.footer': 'Completed vs. created, counted on the day each task was scheduled for',
+    'stats.last12': 'Last 12 weeks',
+    'stats.last26': 'Last 26 weeks',
+    'stats.last52': 'Last 52 weeks',
+    'stats.mostSkipped': 'Most skipped tasks',
+    'stats.nothingSkipped': 'Nothing skipped in this range.',
+    'stats.pageTitle': 'Statistics',
+    'stats.perMonth': 'Completion rate per month',
+    'stats.perWeek': 'Completion rate per week',
+    'stats.range': 'Range',
+    'stats.skipped': 'skipped {count}×',
+    'stats.skippedIn': 'skipped {count}× in {tasks} tasks',
+    'stats.tasksPerDay': 'Tasks / day',
+    'stats.tip': '{done}/{count} done ({rate})',
+    'stats.trendMonth': 'Trend: {points} points per month',
+    'stats.trendWeek': 'Trend: {points} points per week',
+    'stats.weekdayChart': 'Completion rate by weekday',
+    'stats.weekdayNote': 'Lowest completion on {low} ({lowRate}), highest on {high} ({highRate}).',
+    'storage.repaired': { one: '{count} damaged task was repaired or set aside', other: '{count} damaged tasks were repaired or set aside' },
+    'storage.saveFailed': 'Saving failed; the browser\'s storage may be full',
+    'storage.startFailed': 'Could not load your data. Nothing was changed; try reloading the page.',
+    'toast.saved': 'Saved',
+    'focus.backTo': 'Back to {task}?',
+    'focus.break': 'Break',
+    'focus.breakOverTitle': 'Break is over',
+    'focus.deletedTask': 'Deleted task',
+    'focus.doneBody': '{minutes} min. Time for a break.',
+    'focus.doneBodyTask': '{minutes} min on {task}. Time for a break.',
+    'focus.doneTitle': 'Focus session done',
+    'focus.nextSession': 'Ready for the next session?',
+    'focus.pause': 'Pause',
+    'focus.paused': '(paused)',
+    'focus.resume': 'Resume',
+    'focus.running': 'Focus timer running',
+    'focus.skipBreak': 'Skip break',
+    'focus.soFar': '{minutes} min focused so far',
+    'focus.start': 'Start a focus session',
+    'focus.stop': 'Stop',
+    'focus.takeBreak': 'Take a break',
+    'focus.work': 'Focus',
+    'subtasks.add': 'Add subtasks',
+    'subtasks.addOne': 'Add a subtask',
+    'subtasks.delete': 'Delete subtask',
+    'subtasks.done': '{done} of {count} subtasks done',
+    'undo.addList': 'Add list',
+    'undo.addSubtask': 'Add subtask',
+    'undo.addTask': 'Add task',
+    'undo.appTitle': 'App title change',
+    'undo.button': 'Undo',
+    'undo.closeDay': 'Close the day',
+    'undo.completeSubtask': 'Complete subtask',
+    'undo.completeTask': 'Complete task',
+    'undo.deleteList': 'Delete list',
+    'undo.deleteSubtask': 'Delete subtask',
+    'undo.deleteTask': 'Delete task',
+    'undo.dueTime': 'Due time',
+    'undo.editTask': 'Edit task',
+    'undo.importTasks': 'Import tasks',
+    'undo.listColor': 'List color',
+    'undo.nothingToRedo': 'Nothing to redo',
+    'undo.nothingToUndo': 'Nothing to undo',
+    'undo.redone': 'Redone: {action}',
+    'undo.renameList': 'Rename list',
+    'undo.uncompleteSubtask': 'Uncomplete subtask',
+    'undo.uncompleteTask': 'Uncomplete task',
+    'undo.undone': 'Undone: {action}',
+    'notify.blocked': 'Notifications are blocked in this browser; reminders show on the open page instead.',
+    'notify.enable': 'Enable notifications',
+    'notify.on': 'Notifications are on.',
+    'notify.unsupported': 'This browser has no notifications; reminders show on the open page instead.',
+    'import.failed': 'Import failed: {error}',
+    'import.notJson': 'Import failed: file is not valid JSON',
+    'import.unreadable': 'Import failed: could not read file',
+    'day.completed': { one: '{done}/{count} task completed', other: '{done}/{count} tasks completed' },
+    'day.noTasks': 'No tasks',
+    'day.planned': { one: '{count} task planned', other: '{count} tasks planned' }
+  },
+  de: {
+    'home.editTitle': 'Klicken, um den Titel zu bearbeiten',
+    'home.pageTitle': 'Legacy Arc To-do',
+    'home.titleUpdated': 'App-Titel geändert',
+    'nav.archive': 'Alle Aufgaben durchsuchen',
+    'nav.back': 'Zurück zur Aufgabenliste',
+    'nav.calendar': 'Kalender öffnen',
+    'nav.stats': 'Statistik',
+    'nav.theme': 'Design wechseln (System, hell, dunkel)',
+    'lists.add': 'Liste hinzufügen',
+    'lists.added': 'Liste „{name}“ hinzugefügt',
+    'lists.all': 'Alle',
+    'lists.allLists': 'Alle Listen',
+    'lists.color': 'Listenfarbe',
+    'lists.deleteHint': 'Liste löschen (Aufgaben wandern in eine andere Liste)',
+    'lists.deleted': 'Liste „{name}“ gelöscht — Aufgaben nach {target} verschoben',
+    'lists.label': 'Listen',
+    'lists.list': 'Liste',
+    'lists.new': 'Neue Liste',
+    'lists.newChip': '+ Liste',
+    'lists.newPlaceholder': 'Name der neuen Liste (z. B. Arbeit)',
+    'lists.saveTitle': 'Titel speichern',
+    'lists.titlePlaceholder': 'Listentitel eingeben (z. B. Tägliche Lernziele)',
+    'common.add': 'Hinzufügen',
+    'common.cancel': 'Abbrechen',
+    'common.close': 'Schließen',
+    'common.delete': 'Löschen',
+    'common.edit': 'Bearbeiten',
+    'common.import': 'Importieren',
+    'common.min': 'Min.',
+    'common.save': 'Speichern',
+    'task.addPlaceholder': 'Aufgabe hinzufügen, z. B. „call mom tomorrow 6pm #family !high“',
+    'task.count': { one: '{count} Aufgabe', other: '{count} Aufgaben' },
+    'task.delete': 'Aufgabe löschen',
+    'task.deleted': 'Aufgabe gelöscht',
+    'task.edit': 'Aufgabe bearbeiten',
+    'task.hintEdit': 'Doppelklick zum Bearbeiten',
+    'task.hintReorder': 'Doppelklick zum Bearbeiten • ziehen oder Alt+↑/↓ zum Umsortieren',
+    'task.manualOnly': 'Zum Umsortieren auf eigene Reihenfolge umstellen',
+    'task.recurring': 'Wiederkehrende Aufgabe',
+    'task.updated': 'Aufgabe geändert',
+    'tags.add': 'Tag hinzufügen',
+    'tags.addExisting': 'Vorhandenen Tag hinzufügen',
+    'tags.allTagged': 'Alle Aufgaben mit #{tag}',
+    'quickAdd.today': 'Heute',
+    'quickAdd.tomorrow': 'Morgen',
+    'priority.change': 'Priorität: {priority} (klicken zum Ändern)',
+    'priority.current': 'Priorität: {priority}',
+    'priority.high': 'Hoch',
+    'priority.label': 'Priorität',
+    'priority.low': 'Niedrig',
+    'priority.medium': 'Mittel',
+    'priority.none': 'Keine',
+    'due.at': 'fällig {time}',
+    'due.change': 'Fällig {time}{reminder} (klicken zum Ändern)',
+    'due.inHours': 'fällig in {hours} Std.',
+    'due.inHoursMinutes': 'fällig in {hours} Std. {minutes} Min.',
+    'due.inMinutes': 'fällig in {minutes} Min.',
+    'due.overdue': 'überfällig',
+    'due.reminder': 'Erinnerung: {reminder}',
+    'due.remove': 'Fälligkeit entfernen',
+    'due.set': 'Fälligkeit festlegen',
+    'due.time': 'Fälligkeit',
+    'due.timeOptional': 'Fälligkeit (optional)',
+    'reminder.atDue': 'Zur Fälligkeit',
+    'reminder.closeDay': 'Schließ den Tag mit einem kurzen Rückblick ab',
+    'reminder.dueAt': 'Fällig um {time}',
+    'reminder.dueNow': 'Jetzt fällig ({time})',
+    'reminder.eveningBody': { one: 'Heute ist noch {count} Aufgabe offen', other: 'Heute sind noch {count} Aufgaben offen' },
+    'reminder.hoursBefore': { one: '{count} Stunde vorher', other: '{count} Stunden vorher' },
+    'reminder.label': 'Erinnerung',
+    'reminder.minutesBefore': '{count} Min. vorher',
+    'reminder.none': 'Keine Erinnerung',
+    'progress.label': 'Tagesfortschritt',
+    'progress.status': { one: '{done} von {count} Aufgabe erledigt, {pct} %', other: '{done} von {count} Aufgaben erledigt, {pct} %' },
+    'leftovers.allDrop': 'Alle verwerfen',
+    'leftovers.allToday': 'Alle auf heute verschieben',
+    'leftovers.date': 'Neues Datum',
+    'leftovers.drop': 'Verwerfen',
+    'leftovers.dropped': 'Aufgabe verworfen',
+    'leftovers.droppedAll': 'Liegengebliebenes verworfen',
+    'leftovers.from': 'vom {date}',
+    'leftovers.moved': 'Auf heute verschoben',
+    'leftovers.pickDate': 'Wähle ein Datum ab heute',
+    'leftovers.reschedule': 'Verschieben',
+    'leftovers.rescheduled': 'Verschoben auf {date}',
+    'leftovers.slipped': '{count}× verschoben',
+    'leftovers.title': 'Liegengebliebenes von gestern',
+    'leftovers.toToday': 'Auf heute',
+    'templates.added': 'Wiederkehrende Aufgabe hinzugefügt',
+    'templates.daily': 'Jeden Tag',
+    'templates.days': 'Tage',
+    'templates.delete': 'Vorlage löschen',
+    'templates.deleted': 'Wiederkehrende Aufgabe gelöscht',
+    'templates.every': 'Alle',
+    'templates.everyN': { one: 'Jeden Tag', other: 'Alle {count} Tage' },
+    'templates.interval': 'Alle N Tage',
+    'templates.monthly': 'Monatlich',
+    'templates.monthlyOn': 'Monatlich am {day}.',
+    'templates.noDays': 'Keine Tage',
+    'templates.none': 'Noch keine wiederkehrenden Aufgaben.',
+    'templates.onDay': 'Am Tag',
+    'templates.paused': 'pausiert',
+    'templates.pausedToast': 'Wiederkehrende Aufgabe pausiert',
+    'templates.pickWeekday': 'Wähle mindestens einen Wochentag',
+    'templates.repeat': 'Wiederholen',
+    'templates.resumed': 'Wiederkehrende Aufgabe fortgesetzt',
+    'templates.textPlaceholder': 'Aufgabentext (z. B. Morgenlauf)',
+    'templates.title': 'Wiederkehrende Aufgaben',
+    'templates.updated': 'Wiederkehrende Aufgabe geändert',
+    'templates.weekdays': 'Bestimmte Wochentage',
+    'theme.accent': 'Akzentfarbe',
+    'theme.applied': 'Design „{name}“ angewendet',
+    'theme.apply': 'Anwenden',
+    'theme.dark': 'Dunkel',
+    'theme.default': 'Standard',
+    'theme.delete': 'Design löschen',
+    'theme.deleted': 'Design „{name}“ gelöscht',
+    'theme.heat.amber': 'Bernstein',
+    'theme.heat.blue': 'Blau',
+    'theme.heat.cyan': 'Cyan',
+    'theme.heat.green': 'Grün',
+    'theme.heat.grey': 'Grau',
+    'theme.heat.magenta': 'Magenta',
+    'theme.heatmap': 'Heatmap-Farben',
+    'theme.imported': 'Design „{name}“ importiert',
+    'theme.light': 'Hell',
+    'theme.mode': 'Design',
+    'theme.name': 'Name des Designs',
+    'theme.none': 'Noch keine gespeicherten Designs.',
+    'theme.notTheme': 'Keine Legacy-Arc-Designdatei',
+    'theme.save': 'Als Design speichern',
+    'theme.saved': 'Design „{name}“ gespeichert',
+    'theme.share': 'Teilen',
+    'theme.shareHint': 'Als JSON-Datei zum Teilen herunterladen',
+    'theme.system': 'Wie das System',
+    'theme.themes': 'Gespeicherte Designs',
+    'quotes.added': 'Zitat hinzugefügt',
+    'quotes.all': 'Alle Zitate',
+    'quotes.author': 'Autor',
+    'quotes.authorOptional': 'Autor (optional)',
+    'quotes.category': 'Zitatkategorie',
+    'quotes.categoryField': 'Kategorie',
+    'quotes.categoryOptional': 'Kategorie (optional)',
+    'quotes.delete': 'Zitat löschen',
+    'quotes.deleted': 'Zitat gelöscht',
+    'quotes.duplicate': 'Dieses Zitat ist schon in der Sammlung',
+    'quotes.favorite': 'Zu Favoriten hinzufügen',
+    'quotes.favorites': 'Favoriten',
+    'quotes.imported': { one: '{count} Zitat importiert', other: '{count} Zitate importiert' },
+    'quotes.none': 'Noch keine Zitate. Füge eines hinzu oder importiere eine Datei.',
+    'quotes.noneFound': 'Keine Zitate gefunden',
+    'quotes.quote': 'Zitat',
+    'quotes.showFrom': 'Zitate zeigen aus',
+    'quotes.skipped': '({count} schon in der Sammlung)',
+    'quotes.title': 'Zitate',
+    'quotes.unfavorite': 'Aus Favoriten entfernen',
+    'quotes.updated': 'Zitat geändert',
+    'settings.breakMinutes': 'Minuten Pause',
+    'settings.carryOver': 'Unerledigte Aufgaben in den nächsten Tag übernehmen',
+    'settings.evening': 'Abenderinnerung',
+    'settings.eveningNone': '(leer lassen für keine)',
+    'settings.eveningTime': 'Uhrzeit der Abenderinnerung',
+    'settings.focus': 'Fokus',
+    'settings.focusBreak': 'Min., Pause',
+    'settings.focusMinutes': 'Minuten pro Fokussitzung',
+    'settings.language': 'Sprache',
+    'settings.languageAuto': 'Wie im Browser',
+    'settings.sortManual': 'Eigene Reihenfolge',
+    'settings.taskSort': 'Heutige Liste sortieren nach',
+    'settings.title': 'Einstellungen',
+    'settings.weekStart': 'Wochen beginnen am',
+    'sync.address': 'Adresse des Sync-Servers',
+    'sync.badResponse': 'Unerwartete Serverantwort',
+    'sync.badToken': 'Der Server hat das Token abgelehnt',
+    'sync.done': 'Synchronisiert',
+    'sync.failed': 'Synchronisierung fehlgeschlagen: {error}',
+    'sync.failedShort': 'Synchronisierung fehlgeschlagen',
+    'sync.justNow': 'Gerade synchronisiert',
+    'sync.minutesAgo': 'Vor {count} Min. synchronisiert',
+    'sync.needAddress': 'Gib zuerst die Serveradresse ein, z. B. http://localhost:8787',
+    'sync.never': 'Noch nicht synchronisiert',
+    'sync.now': 'Jetzt synchronisieren',
+    'sync.off': 'Synchronisierung ist aus.',
+    'sync.offline': 'Offline',
+    'sync.serverError': 'Serverfehler {status}',
+    'sync.token': 'Sync-Token',
+    'sync.tokenOptional': 'Token (optional)',
+    'sync.turnOn': 'Schalte zuerst die Synchronisierung ein',
+    'sync.unreachable': 'Server nicht erreichbar',
+    'sync.waiting': { one: '{count} Änderung wartet', other: '{count} Änderungen warten' },
+    'sync.with': 'Synchronisieren mit',
+    'backup.changed': '{count} geändert',
+    'backup.changedLabel': 'Geändert:',
+    'backup.exportCsv': 'CSV exportieren',
+    'backup.exportJson': 'JSON exportieren',
+    'backup.importFile': '{name} importieren',
+    'backup.localOnly': '{count} nur in diesem Browser (entfernt durch Ersetzen)',
+    'backup.malformed': { one: '{count} fehlerhafte Aufgabe wird übersprungen', other: '{count} fehlerhafte Aufgaben werden übersprungen' },
+    'backup.merge': 'Zusammenführen',
+    'backup.merged': 'Sicherung zusammengeführt',
+    'backup.new': 'Neu:',
+    'backup.newTasks': { one: '{count} neue Aufgabe', other: '{count} neue Aufgaben' },
+    'backup.newerVersion': 'Die Sicherung stammt von einer neueren Version',
+    'backup.noTasks': 'Die Sicherung enthält keine Aufgabenliste',
+    'backup.notBackup': 'Keine Legacy-Arc-Sicherung',
+    'backup.replace': 'Ersetzen',
+    'backup.restored': 'Sicherung wiederhergestellt',
+    'backup.title': 'Sicherung',
+    'backup.unchanged': '{count} unverändert',
+    'ics.addAll': 'Alle hinzufügen',
+    'ics.addUpcoming': 'Nur ab heute',
+    'ics.duplicates': { one: '{count} schon vorhanden (gleiche UID), übersprungen', other: '{count} schon vorhanden (gleiche UID), übersprungen' },
+    'ics.export': 'iCalendar exportieren',
+    'ics.imported': { one: '{count} Aufgabe importiert', other: '{count} Aufgaben importiert' },
+    'ics.notCalendar': 'Keine iCalendar-Datei',
+    'ics.pastOpen': { one: '{count} offene Aufgabe an einem vergangenen Tag', other: '{count} offene Aufgaben an vergangenen Tagen' },
+    'ics.unusable': { one: '{count} Eintrag ohne Titel oder Datum wird übersprungen', other: '{count} Einträge ohne Titel oder Datum werden übersprungen' },
+    'ics.withDays': 'mit erledigten Tagen',
+    'celebrate.body': 'Du hast heute alle Aufgaben erledigt. Bleib dran!',
+    'celebrate.title': 'Großartig! Tag geschafft!',
+    'closeDay.button': '🌙 Tag abschließen',
+    'closeDay.edit': '🌙 Rückblick von heute bearbeiten',
+    'closeDay.noTasks': 'Heute keine Aufgaben.',
+    'closeDay.save': 'Tag abschließen',
+    'closeDay.saved': 'Tag abgeschlossen',
+    'closeDay.summary': { one: 'Heute {done} von {count} Aufgabe erledigt.', other: 'Heute {done} von {count} Aufgaben erledigt.' },
+    'closeDay.title': 'Tag abschließen',
+    'journal.mood': 'Wie war heute?',
+    'journal.mood1': 'Schwer',
+    'journal.mood2': 'Mäßig',
+    'journal.mood3': 'Okay',
+    'journal.mood4': 'Gut',
+    'journal.mood5': 'Super',
+    'journal.note': 'Rückblick',
+    'journal.placeholder': 'Was lief gut? Was würdest du anders machen?',
+    'footer.developedBy': 'Entwickelt von',
+    'calendar.addLabel': 'Aufgabe für diesen Tag hinzufügen',
+    'calendar.addPast': 'Aufgabe zu diesem Tag hinzufügen (#Tags möglich)',
+    'calendar.addPlan': 'Aufgabe für diesen Tag planen (#Tags möglich)',
+    'calendar.addedTo': 'Zum {date} hinzugefügt',
+    'calendar.allTimeDays': 'Tage insgesamt',
+    'calendar.belowMin': 'unter dem Tagesminimum',
+    'calendar.closeHint': 'Zum Schließen daneben klicken oder Esc drücken',
+    'calendar.closeModal': 'Dialog schließen',
+    'calendar.current': 'Aktuell',
+    'calendar.date': 'Datum',
+    'calendar.days': 'Tage',
+    'calendar.daysIn': 'Tage in {year}',
+    'calendar.deletedTemplate': 'gelöschte Vorlage',
+    'calendar.dropped': 'verworfen',
+    'calendar.focusLogged': 'An diesem Tag erfasste Fokuszeit',
+    'calendar.focusMinutes': '{minutes} Min. Fokus',
+    'calendar.focusTotal': '{minutes} Min. Fokus',
+    'calendar.footer': 'Beständigkeit • Auf Basis erledigter Aufgaben',
+    'calendar.freeze': 'Joker',
+    'calendar.freezes': 'Joker',
+    'calendar.fromTemplate': 'Aus wiederkehrender Aufgabe: {text}',
+    'calendar.gridHelp': 'Pfeiltasten wechseln zwischen Tagen und Wochen, Bild auf und Bild ab zwischen Monaten. Enter öffnet den Tag.',
+    'calendar.gridLabel': 'Tage im Jahr {year}',
+    'calendar.heading': 'Beständigkeit',
+    'calendar.less': 'Weniger',
+    'calendar.longest': 'Längste',
+    'calendar.metricCount': 'Erledigte Aufgaben',
+    'calendar.metricFocus': 'Fokusminuten',
+    'calendar.metricRatio': 'Erledigungsquote',
+    'calendar.more': 'Mehr',
+    'calendar.movedTo': 'verschoben auf {date}',
+    'calendar.nextYear': 'Nächstes Jahr',
+    'calendar.noTasks': 'Keine Aufgaben an diesem Tag.',
+    'calendar.pageTitle': 'Beständigkeitskalender',
+    'calendar.planned': 'Geplant',
+    'calendar.plannedFor': 'Geplant für {date}',
+    'calendar.prevYear': 'Voriges Jahr',
+    'calendar.rest': 'Ruhetag',
+    'calendar.rolledFrom': 'Verschoben vom: {dates}',
+    'calendar.shadeBy': 'Färben nach',
+    'calendar.subtasks': { one: '{done}/{count} Teilaufgabe', other: '{done}/{count} Teilaufgaben' },
+    'calendar.year': 'Jahr',
+    'streak.freezesPerMonth': 'Joker pro Monat',
+    'streak.frozenNote': 'Joker eingesetzt',
+    'streak.help': 'Ruhetage unterbrechen keine Serie. Für je 7 beständige Tage in Folge gibt es einen Joker, der an einem verpassten Tag automatisch eingelöst wird.',
+    'streak.minCount': 'erledigten Aufgaben',
+    'streak.minPercent': '% erledigten Aufgaben des Tages',
+    'streak.minimum': 'Ein Tag zählt ab',
+    'streak.restDays': 'Ruhetage',
+    'streak.restNote': 'Ruhetag',
+    'streak.title': 'Serienregeln',
+    'archive.anyStatus': 'Jeder Status',
+    'archive.anyTag': 'Jeder Tag',
+    'archive.clear': 'Zurücksetzen',
+    'archive.completed': 'Erledigt',
+    'archive.completedFrom': 'Erledigt ab',
+    'archive.completedTo': 'Erledigt bis',
+    'archive.created': 'Erstellt',
+    'archive.createdFrom': 'Erstellt ab',
+    'archive.createdTo': 'Erstellt bis',
+    'archive.dayCount': { one: '{count} Tag', other: '{count} Tagen' },
+    'archive.dayDone': '{done}/{count} erledigt',
+    'archive.doneOn': 'erledigt {date}',
+    'archive.dropped': 'Verworfen',
+    'archive.droppedOn': 'verworfen {date}',
+    'archive.footer': 'Jede Aufgabe, jeder Tag',
+    'archive.heading': 'Archiv',
+    'archive.latest': 'die letzten {count} Tage werden gezeigt',
+    'archive.none': 'Keine passenden Aufgaben oder Rückblicke.',
+    'archive.onlyTag': 'Nur #{tag}',
+    'archive.open': 'Offen',
+    'archive.openDay': 'Diesen Tag im Kalender öffnen',
+    'archive.pageTitle': 'Aufgabenarchiv',
+    'archive.reflections': { one: '{count} Rückblick', other: '{count} Rückblicke' },
+    'archive.searchPlaceholder': 'Aufgaben und Rückblicke suchen (Text oder #Tag)',
+    'archive.searchText': 'Suchtext',
+    'archive.status': 'Status',
+    'archive.summary': '{tasks} an {days}',
+    'archive.tag': 'Tag',
+    'stats.activeDays': 'Aktive Tage',
+    'stats.byWeekday': 'Nach Wochentag',
+    'stats.completed': 'Erledigt',
+    'stats.consistentDays': 'Beständige Tage',
+    'stats.currentStreak': 'Aktuelle Serie',
+    'stats.donePerDay': 'Erledigt / Tag',
+    'stats.footer': 'Erledigt im Verhältnis zu erstellt, gezählt am geplanten Tag jeder Aufgabe',
+    'stats.last12': 'Letzte 12 Wochen',
+    'stats.last26': 'Letzte 26 Wochen',
+    'stats.last52': 'Letzte 52 Wochen',
+    'stats.mostSkipped': 'Am häufigsten ausgelassen',
+    'stats.nothingSkipped': 'In diesem Zeitraum wurde nichts ausgelassen.',
+    'stats.pageTitle': 'Statistik',
+    'stats.perMonth': 'Erledigungsquote pro Monat',
+    'stats.perWeek': 'Erledigungsquote pro Woche',
+    'stats.range': 'Zeitraum',
+    'stats.skipped': '{count}× ausgelassen',
+    'stats.skippedIn': '{count}× ausgelassen in {tasks} Aufgaben',
+    'stats.tasksPerDay': 'Aufgaben / Tag',
+    'stats.tip': '{done}/{count} erledigt ({rate})',
+    'stats.trendMonth': 'Trend: {points} Punkte pro Monat',
+    'stats.trendWeek': 'Trend: {points} Punkte pro Woche',
+    'stats.weekdayChart': 'Erledigungsquote nach Wochentag',
+    'stats.weekdayNote': 'Am niedrigsten am {low} ({lowRate}), am höchsten am {high} ({highRate}).',
+    'storage.repaired': { one: '{count} beschädigte Aufgabe wurde repariert oder beiseitegelegt', other: '{count} beschädigte Aufgaben wurden repariert oder beiseitegelegt' },
+    'storage.saveFailed': 'Speichern fehlgeschlagen; der Browserspeicher ist womöglich voll',
+    'storage.startFailed': 'Deine Daten konnten nicht geladen werden. Es wurde nichts geändert; lade die Seite neu.',
+    'toast.saved': 'Gespeichert',
+    'focus.backTo': 'Zurück zu {task}?',
+    'focus.break': 'Pause',
+    'focus.breakOverTitle': 'Die Pause ist vorbei',
+    'focus.deletedTask': 'Gelöschte Aufgabe',
+    'focus.doneBody': '{minutes} Min. Zeit für eine Pause.',
+    'focus.doneBodyTask': '{minutes} Min. an {task}. Zeit für eine Pause.',
+    'focus.doneTitle': 'Fokussitzung beendet',
+    'focus.nextSession': 'Bereit für die nächste Sitzung?',
+    'focus.pause': 'Anhalten',
+    'focus.paused': '(angehalten)',
+    'focus.resume': 'Fortsetzen',
+    'focus.running': 'Fokus-Timer läuft',
+    'focus.skipBreak': 'Pause überspringen',
+    'focus.soFar': 'bisher {minutes} Min. fokussiert',
+    'focus.start': 'Fokussitzung starten',
+    'focus.stop': 'Beenden',
+    'focus.takeBreak': 'Pause machen',
+    'focus.work': 'Fokus',
+    'subtasks.add': 'Teilaufgaben hinzufügen',
+    'subtasks.addOne': 'Teilaufgabe hinzufügen',
+    'subtasks.delete': 'Teilaufgabe löschen',
+    'subtasks.done': '{done} von {count} Teilaufgaben erledigt',
+    'undo.addList': 'Liste hinzufügen',
+    'undo.addSubtask': 'Teilaufgabe hinzufügen',
+    'undo.addTask': 'Aufgabe hinzufügen',
+    'undo.appTitle': 'Titel ändern',
+    'undo.button': 'Rückgängig',
+    'undo.closeDay': 'Tag abschließen',
+    'undo.completeSubtask': 'Teilaufgabe erledigen',
+    'undo.completeTask': 'Aufgabe erledigen',
+    'undo.deleteList': 'Liste löschen',
+    'undo.deleteSubtask': 'Teilaufgabe löschen',
+    'undo.deleteTask': 'Aufgabe löschen',
+    'undo.dueTime': 'Fälligkeit',
+    'undo.editTask': 'Aufgabe bearbeiten',
+    'undo.importTasks': 'Aufgaben importieren',
+    'undo.listColor': 'Listenfarbe',
+    'undo.nothingToRedo': 'Nichts wiederherzustellen',
+    'undo.nothingToUndo': 'Nichts rückgängig zu machen',
+    'undo.redone': 'Wiederhergestellt: {action}',
+    'undo.renameList': 'Liste umbenennen',
+    'undo.uncompleteSubtask': 'Teilaufgabe wieder öffnen',
+    'undo.uncompleteTask': 'Aufgabe wieder öffnen',
+    'undo.undone': 'Rückgängig: {action}',
+    'notify.blocked': 'Benachrichtigungen sind in diesem Browser blockiert; Erinnerungen erscheinen stattdessen auf der offenen Seite.',
+    'notify.enable': 'Benachrichtigungen aktivieren',
+    'notify.on': 'Benachrichtigungen sind an.',
+    'notify.unsupported': 'Dieser Browser kann keine Benachrichtigungen; Erinnerungen erscheinen stattdessen auf der offenen Seite.',
+    'import.failed': 'Import fehlgeschlagen: {error}',
+    'import.notJson': 'Import fehlgeschlagen: Die Datei ist kein gültiges JSON',
+    'import.unreadable': 'Import fehlgeschlagen: Die Datei konnte nicht gelesen werden',
+    'day.completed': { one: '{done}/{count} Aufgabe erledigt', other: '{done}/{count} Aufgaben erledigt' },
+    'day.noTasks': 'Keine Aufgaben',
+    'day.planned': { one: '{count} Aufgabe geplant', other: '{count} Aufgaben geplant' }
   }
+};
+
+/* -------- Initialize the right behavior based on page ---- */
+document.addEventListener('DOMContentLoaded', () => {
+  // Pages only start once the stored state is loaded, migrated and validated
+  initStorage().then(repaired => {
+    startCrossTabSync();
+    startSync();
+    startReminders();
+    // registered before the page's own listener, so it re-renders in the new language
+    applyLocale(loadState());
+    onExternalStateChange(applyLocale);
+    watchTheme();
+    // Start realtime date/time (in the chosen language)
+    startDateTime();
+    // First open of the day (on either page) materializes recurring tasks
+    const opened = loadState();
+    if (instantiateTemplates(opened)) saveState(opened);
+    // Decide which page we are on by checking elements
+    if (document.getElementById('taskList')) {
+      initTodos();
+    } else {
+      // the home page drives the focus timer itself; elsewhere it only keeps running
+      startFocusTimer();
+    }
+    if (document.getElementById('yearGrid')) {
+      initCalendar();
+    }
+    if (document.getElementById('archiveResults')) {
+      initArchive();
+    }
+    if (document.getElementById('statsWeekly')) {
+      initStats();
+    }
+    // tasks set aside by validateState stay in state.quarantine (and in JSON exports)
+    if (repaired) showToast(tr('storage.repaired', { count: repaired }), 4000);
+  }).catch(() => {
+    // the stored data is left untouched; reloading retries
+    showToast(tr('storage.startFailed'), 8000);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/* sync-server.js - reference server for Legacy Arc's optional sync (Node built-ins only)
+
+   Run:  node server/sync-server.js
+   Env:  PORT (default 8787), SYNC_DATA (JSON file, default server/sync-data.json),
+         SYNC_TOKEN (when set, requests need "Authorization: Bearer <token>")
+   It also serves the app itself, so http://localhost:8787/ works without a CORS setup.
+
+   Protocol: POST /sync with { since: revision, changes: [...] } and get back
+   { revision, changes: [...] } - every change the server accepted after `since`, minus the
+   ones from this request. A change is one of
+     { id, kind, item }   a task/template/list/quote/journal entry/theme; `item.updatedAt` (ms) orders edits
+     { id, deletedAt }    a deletion (tombstone)
+     { field, value, at } a top-level field such as appTitle or settings
+   The newest stamp wins. A deletion wins over an edit with the same stamp; between two
+   different items with the same stamp the one with the larger JSON wins, so the result
+   doesn't depend on which device pushed first. GET /sync?since=N pulls without pushing.
+
+   Store layout: { revision, items: { id: { kind, item?, deletedAt?, rev } },
+                   fields: { name: { value, at, rev } } }
+   items and fields are kept as prototype-less maps: ids and field names come from clients,
+   and one named "__proto__" or "constructor" must stay an ordinary key. */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA || path.join(__dirname, 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const APP_ROOT = path.join(__dirname, '..');
+const MAX_BODY = 5 * 1024 * 1024;
+const STATIC_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+
+// copy a parsed object into a map without a prototype (JSON.parse keeps "__proto__" as an own key)
+function plainMap(obj){
+  return Object.assign(Object.create(null), obj);
+}
+
+function loadStore(){
+  try {
+    const store = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    if (store && typeof store.revision === 'number' && store.items && store.fields) {
+      return { revision: store.revision, items: plainMap(store.items), fields: plainMap(store.fields) };
+    }
+    console.warn(`${DATA_FILE} is not a sync store; starting empty`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Could not read ${DATA_FILE} (${e.message}); starting empty`);
+  }
+  return { revision: 0, items: Object.create(null), fields: Object.create(null) };
+}
+
+// write to a temp file first so a crash never leaves half a store behind
+function saveStore(store){
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+const store = loadStore();
+
+function stampOf(entry){
+  if (!entry) return -1;
+  return entry.deletedAt !== undefined ? entry.deletedAt : (entry.item.updatedAt || 0);
+}
+
+// apply one change; returns true when it replaced what the store had
+function applyChange(change, rev){
+  if (!change || typeof change !== 'object') return false;
+  if (typeof change.field === 'string') {
+    const current = store.fields[change.field];
+    const at = Number(change.at) || 0;
+    if (current && at <= current.at) return false;
+    store.fields[change.field] = { value: change.value === undefined ? null : change.value, at, rev };
+    return true;
+  }
+  if (typeof change.id !== 'string' || !change.id) return false;
+  const current = store.items[change.id];
+  if (typeof change.deletedAt === 'number') {
+    if (current && (current.deletedAt !== undefined ? change.deletedAt <= current.deletedAt : change.deletedAt < stampOf(current))) return false;
+    store.items[change.id] = { kind: current ? current.kind : change.kind, deletedAt: change.deletedAt, rev };
+    return true;
+  }
+  const item = change.item;
+  if (!item || typeof item !== 'object' || typeof change.kind !== 'string' || item.id !== change.id) return false;
+  const stamp = Number(item.updatedAt) || 0;
+  if (current) {
+    const currentStamp = stampOf(current);
+    if (stamp < currentStamp) return false;
+    if (stamp === currentStamp && (current.deletedAt !== undefined || JSON.stringify(item) <= JSON.stringify(current.item))) return false;
+  }
+  store.items[change.id] = { kind: change.kind, item, rev };
+  return true;
+}
+
+function changesSince(since, exceptRev){
+  const out = [];
+  Object.keys(store.items).forEach(id => {
+    const entry = store.items[id];
+    if (entry.rev <= since || entry.rev === exceptRev) return;
+    out.push(entry.deletedAt !== undefined ? { id, kind: entry.kind, deletedAt: entry.deletedAt } : { id, kind: entry.kind, item: entry.item });
+  });
+  Object.keys(store.fields).forEach(field => {
+    const entry = store.fields[field];
+    if (entry.rev > since && entry.rev !== exceptRev) out.push({ field, value: entry.value, at: entry.at });
+  });
+  return out;
+}
+
+// all changes of one request share a revision, so a client never sees half a push
+function handleSync(since, changes){
+  const rev = store.revision + 1;
+  let accepted = 0;
+  changes.forEach(change => { if (applyChange(change, rev)) accepted++; });
+  if (accepted) {
+    store.revision = rev;
+    saveStore(store);
+  }
+  return { revision: store.revision, changes: changesSince(since, accepted ? rev : -1) };
+}
+
+function send(res, status, body){
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(Object.assign(new Error('Request too large'), { status: 413 })); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function serveStatic(req, res, pathname){
+  let file;
+  try { file = path.normalize(path.join(APP_ROOT, pathname === '/' ? 'index.html' : decodeURIComponent(pathname))); }
+  catch (e) { return send(res, 400, { error: 'Bad path' }); }
+  const type = STATIC_TYPES[path.extname(file)];
+  // only the app's own files: no directory escapes, no server code or data
+  if (!type || !file.startsWith(APP_ROOT + path.sep) || file.startsWith(__dirname + path.sep)) return send(res, 404, { error: 'Not found' });
+  fs.readFile(file, (err, content) => {
+    if (err) return send(res, 404, { error: 'Not found' });
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(content);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // the app may be opened from another origin (or file://), so allow cross-origin calls
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== '/sync') {
+    if (req.method === 'GET') return serveStatic(req, res, url.pathname);
+    return send(res, 404, { error: 'Not found' });
+  }
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Missing or wrong token' });
+
+  if (req.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    return send(res, 200, { revision: store.revision, changes: changesSince(since, -1) });
+  }
+  if (req.method !== 'POST') return send(res, 405, { error: 'Use GET or POST' });
+  readBody(req).then(raw => {
+    let body;
+    try { body = JSON.parse(raw || '{}'); } catch (e) { return send(res, 400, { error: 'Body is not valid JSON' }); }
+    const changes = Array.isArray(body.changes) ? body.changes : [];
+    send(res, 200, handleSync(Number(body.since) || 0, changes));
+  }).catch(err => send(res, err.status || 500, { error: err.message }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Legacy Arc sync server on http://localhost:${PORT} (data: ${DATA_FILE}${TOKEN ? ', token required' : ''})`);
+});